@@ -0,0 +1,161 @@
+const fs = require("fs");
+const path = require("path");
+
+const METRICS = ["views", "sections", "clicks"];
+const OTHER = "(other)";
+
+/**
+ * Daily counters kept in memory and written to `file` at most every
+ * `flushMs`. Only metric keys and counts are stored: nothing identifies a
+ * visitor. Each day keeps at most `maxKeys` keys per metric, extra ones are
+ * counted under "(other)".
+ */
+class Analytics {
+    constructor({ file, flushMs = 10000, retentionDays = 400, maxKeys = 200 }) {
+        this.file = file;
+        this.flushMs = flushMs;
+        this.retentionDays = retentionDays;
+        this.maxKeys = maxKeys;
+        this.days = {};
+        this.timer = null;
+    }
+
+    async load() {
+        try {
+            this.days = JSON.parse(
+                await fs.promises.readFile(this.file, "utf8")
+            );
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+            this.days = {};
+        }
+    }
+
+    record(metric, key, date = new Date()) {
+        if (!METRICS.includes(metric))
+            throw new Error(`Unknown metric "${metric}"`);
+
+        const day = date.toISOString().slice(0, 10);
+        const counters = (this.days[day] =
+            this.days[day] || Object.fromEntries(METRICS.map((m) => [m, {}])));
+        const counts = counters[metric];
+        if (!(key in counts) && Object.keys(counts).length >= this.maxKeys)
+            key = OTHER;
+        counts[key] = (counts[key] || 0) + 1;
+
+        if (!this.timer) {
+            this.timer = setTimeout(() => {
+                this.flush().catch((err) =>
+                    console.error("Analytics flush failed:", err)
+                );
+            }, this.flushMs);
+            this.timer.unref();
+        }
+    }
+
+    prune(now = new Date()) {
+        const oldest = new Date(now.getTime() - this.retentionDays * 86400000)
+            .toISOString()
+            .slice(0, 10);
+        Object.keys(this.days).forEach((day) => {
+            if (day < oldest) delete this.days[day];
+        });
+    }
+
+    // Writes through a temporary file so a crash never leaves half a file.
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.prune();
+
+        const tmp = `${this.file}.${process.pid}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.writeFile(tmp, JSON.stringify(this.days));
+        await fs.promises.rename(tmp, this.file);
+    }
+
+    // Totals of the last `period` days, most frequent keys first.
+    summary(period = 30, now = new Date()) {
+        const days = Array.from({ length: period }, (_, i) =>
+            new Date(now.getTime() - i * 86400000).toISOString().slice(0, 10)
+        );
+        const totals = Object.fromEntries(METRICS.map((m) => [m, {}]));
+
+        const daily = days.map((date) => {
+            const counters = this.days[date] || {};
+            let views = 0;
+            METRICS.forEach((metric) =>
+                Object.entries(counters[metric] || {}).forEach(([key, n]) => {
+                    totals[metric][key] = (totals[metric][key] || 0) + n;
+                    if (metric === "views") views += n;
+                })
+            );
+            return { date, views };
+        });
+
+        const ranked = (counts) =>
+            Object.entries(counts)
+                .sort(([a, x], [b, y]) => y - x || a.localeCompare(b))
+                .map(([key, count]) => ({ key, count }));
+
+        return {
+            period,
+            daily,
+            views: ranked(totals.views),
+            sections: ranked(totals.sections),
+            clicks: ranked(totals.clicks),
+        };
+    }
+}
+
+/**
+ * Stands in for Analytics in cluster workers: counts are sent to the primary
+ * process, which owns the file, and summaries are asked from it.
+ */
+class AnalyticsClient {
+    constructor(channel = process) {
+        this.channel = channel;
+        this.pending = new Map();
+        this.nextId = 0;
+        channel.on("message", (message) => {
+            if (message.analytics !== "summary") return;
+            const resolve = this.pending.get(message.id);
+            this.pending.delete(message.id);
+            if (resolve) resolve(message.summary);
+        });
+    }
+
+    async load() {}
+
+    async flush() {}
+
+    record(metric, key) {
+        if (!METRICS.includes(metric))
+            throw new Error(`Unknown metric "${metric}"`);
+        this.channel.send({ analytics: "record", metric, key });
+    }
+
+    summary(period = 30) {
+        return new Promise((resolve) => {
+            const id = this.nextId++;
+            this.pending.set(id, resolve);
+            this.channel.send({ analytics: "summary", id, period });
+        });
+    }
+}
+
+// Answers the AnalyticsClient of `worker` from the primary's `analytics`.
+function serveAnalytics(worker, analytics) {
+    worker.on("message", (message) => {
+        if (message.analytics === "record")
+            analytics.record(message.metric, message.key);
+        else if (message.analytics === "summary")
+            worker.send({
+                analytics: "summary",
+                id: message.id,
+                summary: analytics.summary(message.period),
+            });
+    });
+}
+
+module.exports = { Analytics, AnalyticsClient, serveAnalytics };
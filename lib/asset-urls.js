@@ -0,0 +1,50 @@
+// Rewrites go through URL positions only, so that text merely naming an
+// asset, as a post about this site may, is left alone.
+
+const unquote = (value) =>
+    /^["']/.test(value) ? [value[0], value.slice(1, -1)] : ["", value];
+
+// `css` with `rewrite` applied to the URL of each url().
+function rewriteCSSUrls(css, rewrite) {
+    return css.replace(
+        /(\burl\(\s*)(["']?)([^"')\s]+)\2/gi,
+        (match, open, quote, url) => open + quote + rewrite(url) + quote
+    );
+}
+
+function rewriteTag(tag, rewrite) {
+    return tag.replace(
+        /(\s(href|src|srcset|style)\s*=\s*)("[^"]*"|'[^']*'|[^\s"'>]+)/gi,
+        (match, attribute, name, value) => {
+            const [quote, text] = unquote(value);
+            const rewritten =
+                name.toLowerCase() === "style"
+                    ? rewriteCSSUrls(text, rewrite)
+                    : name.toLowerCase() === "srcset"
+                    ? text.replace(
+                          /(^|,)(\s*)([^\s,]+)/g,
+                          (candidate, comma, space, url) =>
+                              comma + space + rewrite(url)
+                      )
+                    : rewrite(text);
+            return attribute + quote + rewritten + quote;
+        }
+    );
+}
+
+/**
+ * `html` with `rewrite` applied to the URLs of href, src and srcset
+ * attributes, and of url() in style elements and attributes. Escaped
+ * markup, as in code samples, is text and left as it is.
+ */
+function rewriteHTMLUrls(html, rewrite) {
+    return html
+        .replace(/<[a-z][^>]*>/gi, (tag) => rewriteTag(tag, rewrite))
+        .replace(
+            /(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi,
+            (match, open, css, close) =>
+                open + rewriteCSSUrls(css, rewrite) + close
+        );
+}
+
+module.exports = { rewriteCSSUrls, rewriteHTMLUrls };
@@ -0,0 +1,253 @@
+const fs = require("fs");
+const path = require("path");
+const { escapeHTML, SafeString } = require("./template");
+const { validate, SchemaError } = require("./schema");
+const { POST_SCHEMA } = require("./content-schema");
+const { skillId } = require("./skills");
+const { parseFrontMatter, renderMarkdown } = require("./markdown");
+
+const BLOG_PATH = "/blog/";
+const POST_NAME = /^[a-z0-9][a-z0-9-]*\.md$/;
+
+function readPost(file, text, { locales, defaultLocale }) {
+    let parsed;
+    try {
+        parsed = parseFrontMatter(text);
+    } catch (error) {
+        throw new SchemaError(file, [error.message]);
+    }
+
+    const { data, body } = parsed;
+    const name = path.posix.basename(file);
+    const problems = validate(data, POST_SCHEMA);
+    if (!POST_NAME.test(name))
+        problems.push(`${name}: expected lowercase letters, digits and dashes`);
+    if (Array.isArray(data.tags))
+        data.tags.forEach((tag, i) => {
+            if (!skillId(tag))
+                problems.push(`tags[${i}]: expected a letter or digit`);
+        });
+    if (data.lang !== undefined && !locales.includes(data.lang))
+        problems.push(
+            `lang: expected one of ${locales.join(", ")}, got ${JSON.stringify(
+                data.lang
+            )}`
+        );
+    if (problems.length) throw new SchemaError(file, problems);
+
+    const slug = name.slice(0, -".md".length);
+    return {
+        ...data,
+        file,
+        slug,
+        path: `${BLOG_PATH}${slug}/`,
+        lang: data.lang || defaultLocale,
+        updated: data.updated || data.date,
+        tags: data.tags || [],
+        draft: !!data.draft,
+        html: renderMarkdown(body),
+    };
+}
+
+/**
+ * Reads the Markdown posts of `dir`, relative to `root`, newest first.
+ * Drafts are left out unless `drafts` is set; a post whose front matter
+ * does not match POST_SCHEMA throws a SchemaError.
+ */
+async function loadPosts({ root, dir, locales, defaultLocale, drafts }) {
+    const names = fs.existsSync(path.join(root, dir))
+        ? (await fs.promises.readdir(path.join(root, dir))).filter((name) =>
+              name.endsWith(".md")
+          )
+        : [];
+
+    const posts = [];
+    for (const name of names.sort()) {
+        const file = `${dir}/${name}`;
+        const text = await fs.promises.readFile(path.join(root, file), "utf8");
+        posts.push(readPost(file, text, { locales, defaultLocale }));
+    }
+
+    return posts
+        .filter((post) => drafts || !post.draft)
+        .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+function formatDate(date, locale) {
+    return new Intl.DateTimeFormat(locale, {
+        dateStyle: "long",
+        timeZone: "UTC",
+    }).format(new Date(`${date}T00:00:00Z`));
+}
+
+function tagPath(name) {
+    return `${BLOG_PATH}tags/${skillId(name)}/`;
+}
+
+// Tags of all posts, named as first written: "Node.js" and "node-js"
+// share a page.
+function blogTags(posts, locale) {
+    const tags = new Map();
+    posts.forEach((post) =>
+        post.tags.forEach((name) => {
+            const id = skillId(name);
+            if (!tags.has(id)) tags.set(id, { id, name, path: tagPath(name) });
+        })
+    );
+    return Array.from(tags.values()).sort((a, b) =>
+        a.name.localeCompare(b.name, locale)
+    );
+}
+
+// What templates/post.html shows of `post`.
+function postData(post) {
+    return {
+        ...post,
+        html: new SafeString(post.html),
+        dateLabel: formatDate(post.date, post.lang),
+        revised: post.updated !== post.date,
+        updatedLabel: formatDate(post.updated, post.lang),
+        tags: post.tags.map((name) => ({ name, path: tagPath(name) })),
+    };
+}
+
+// What templates/blog.html lists: all posts, or those tagged `tag`.
+function indexData(posts, tag, locale) {
+    const listed = tag
+        ? posts.filter((post) =>
+              post.tags.some((name) => skillId(name) === tag.id)
+          )
+        : posts;
+
+    return {
+        posts: listed.map((post) => ({
+            title: post.title,
+            path: post.path,
+            description: post.description,
+            date: post.date,
+            dateLabel: formatDate(post.date, locale),
+            draft: post.draft,
+            foreignLang: post.lang !== locale ? post.lang : null,
+        })),
+        tags: blogTags(posts, locale).map((item) => ({
+            ...item,
+            current: !!tag && item.id === tag.id,
+        })),
+    };
+}
+
+// `html` with absolute links, since feed readers show it elsewhere.
+function absoluteLinks(html, base) {
+    return html.replace(
+        /(\s(?:href|src)=")([^"]*)"/g,
+        (match, attribute, url) => {
+            try {
+                return `${attribute}${new URL(url, base).href}"`;
+            } catch {
+                return match;
+            }
+        }
+    );
+}
+
+const lastUpdate = (posts) =>
+    posts
+        .map(({ updated }) => updated)
+        .sort()
+        .pop();
+
+/**
+ * The RSS feed of `posts`. `channel` has the `title`, `description`, `url`,
+ * `language` and `author` of the blog, and `content` gives the HTML of a
+ * post with absolute links.
+ */
+function generateRSS(posts, channel) {
+    const date = (day) => new Date(`${day}T00:00:00Z`).toUTCString();
+    const items = posts.map((post) => {
+        const url = channel.url + post.path.slice(BLOG_PATH.length);
+        return [
+            "    <item>",
+            `      <title>${escapeHTML(post.title)}</title>`,
+            `      <link>${escapeHTML(url)}</link>`,
+            `      <guid isPermaLink="true">${escapeHTML(url)}</guid>`,
+            `      <pubDate>${date(post.date)}</pubDate>`,
+            ...post.tags.map(
+                (tag) => `      <category>${escapeHTML(tag)}</category>`
+            ),
+            `      <description>${escapeHTML(
+                channel.content(post)
+            )}</description>`,
+            "    </item>",
+        ].join("\n");
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        "  <channel>",
+        `    <title>${escapeHTML(channel.title)}</title>`,
+        `    <link>${escapeHTML(channel.url)}</link>`,
+        `    <description>${escapeHTML(channel.description)}</description>`,
+        `    <language>${channel.language}</language>`,
+        `    <lastBuildDate>${date(lastUpdate(posts))}</lastBuildDate>`,
+        `    <atom:link href="${escapeHTML(
+            channel.url
+        )}rss.xml" rel="self" type="application/rss+xml" />`,
+        ...items,
+        "  </channel>",
+        "</rss>",
+        "",
+    ].join("\n");
+}
+
+// The Atom feed of `posts`, from the same `channel` as generateRSS.
+function generateAtom(posts, channel) {
+    const date = (day) => `${day}T00:00:00Z`;
+    const entries = posts.map((post) => {
+        const url = channel.url + post.path.slice(BLOG_PATH.length);
+        return [
+            "  <entry>",
+            `    <title>${escapeHTML(post.title)}</title>`,
+            `    <link href="${escapeHTML(url)}" />`,
+            `    <id>${escapeHTML(url)}</id>`,
+            `    <published>${date(post.date)}</published>`,
+            `    <updated>${date(post.updated)}</updated>`,
+            ...post.tags.map(
+                (tag) => `    <category term="${escapeHTML(tag)}" />`
+            ),
+            `    <summary>${escapeHTML(post.description)}</summary>`,
+            `    <content type="html" xml:lang="${post.lang}">${escapeHTML(
+                channel.content(post)
+            )}</content>`,
+            "  </entry>",
+        ].join("\n");
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${channel.language}">`,
+        `  <title>${escapeHTML(channel.title)}</title>`,
+        `  <subtitle>${escapeHTML(channel.description)}</subtitle>`,
+        `  <link href="${escapeHTML(channel.url)}" />`,
+        `  <link rel="self" href="${escapeHTML(channel.url)}atom.xml" />`,
+        `  <id>${escapeHTML(channel.url)}</id>`,
+        `  <updated>${date(lastUpdate(posts))}</updated>`,
+        `  <author><name>${escapeHTML(channel.author)}</name></author>`,
+        ...entries,
+        "</feed>",
+        "",
+    ].join("\n");
+}
+
+module.exports = {
+    BLOG_PATH,
+    readPost,
+    loadPosts,
+    tagPath,
+    blogTags,
+    postData,
+    indexData,
+    absoluteLinks,
+    generateRSS,
+    generateAtom,
+};
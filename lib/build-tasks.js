@@ -0,0 +1,37 @@
+const outputPath = ({ file, output = file }) => `/${output}`;
+
+/**
+ * The tasks to run again once `changedFiles` changed: those reading one of
+ * them, as their `file` or one of their `dependencies`, then those using
+ * the output of a task to run again. A task uses the outputs in its `uses`
+ * and those `references` maps its own output to.
+ */
+function affectedTasks(tasks, changedFiles, references = new Map()) {
+    const uses = (task) => [
+        ...(task.uses || []),
+        ...(references.get(outputPath(task)) || []),
+    ];
+    const affected = new Set(
+        tasks.filter(({ file, dependencies = [] }) =>
+            [file, ...dependencies].some((f) => changedFiles.includes(f))
+        )
+    );
+    const outputs = new Set(Array.from(affected, outputPath));
+
+    let added;
+    do {
+        added = tasks.filter(
+            (task) =>
+                !affected.has(task) &&
+                uses(task).some((use) => outputs.has(use))
+        );
+        added.forEach((task) => {
+            affected.add(task);
+            outputs.add(outputPath(task));
+        });
+    } while (added.length);
+
+    return tasks.filter((task) => affected.has(task));
+}
+
+module.exports = { affectedTasks };
@@ -0,0 +1,82 @@
+const cluster = require("cluster");
+
+/**
+ * Runs `workers` copies of the server, which build and serve on their own,
+ * from a primary process that only supervises them. Each new worker is
+ * passed to `serve`, which answers what workers share through the primary.
+ * A worker that dies is replaced; SIGHUP replaces them one at a time and
+ * stops at the first replacement that fails to start, leaving the older
+ * workers serving. Resolves to a function stopping all workers.
+ */
+async function startCluster({ workers, env = {}, serve = () => {} }) {
+    let stopping = false;
+
+    const fork = () =>
+        new Promise((resolve, reject) => {
+            const worker = cluster.fork(env);
+            serve(worker);
+            const failed = (code) =>
+                reject(
+                    new Error(
+                        `Worker ${worker.process.pid} exited with code ${code} before serving`
+                    )
+                );
+            worker.once("exit", failed);
+            worker.once("listening", () => {
+                worker.removeListener("exit", failed);
+                worker.serving = true;
+                resolve(worker);
+            });
+        });
+
+    cluster.on("exit", (worker, code, signal) => {
+        if (stopping || worker.replaced || !worker.serving) return;
+        console.error(
+            `Worker ${worker.process.pid} died (${
+                signal || code
+            }), starting another`
+        );
+        fork().catch((err) =>
+            console.error("Worker restart failed:", err.message)
+        );
+    });
+
+    await Promise.all(Array.from({ length: workers }, fork));
+    console.log(`Cluster running ${workers} workers`);
+
+    let restarting = Promise.resolve();
+    const restart = async () => {
+        console.log("Restarting workers...");
+        for (const worker of Object.values(cluster.workers)) {
+            await fork();
+            worker.replaced = true;
+            if (!worker.isDead()) worker.process.kill("SIGTERM");
+        }
+        console.log("Workers restarted");
+    };
+    process.on("SIGHUP", () => {
+        restarting = restarting
+            .then(restart)
+            .catch((err) =>
+                console.error(
+                    "Restart stopped, keeping the remaining workers:",
+                    err.message
+                )
+            );
+    });
+
+    return async () => {
+        stopping = true;
+        await Promise.all(
+            Object.values(cluster.workers).map(
+                (worker) =>
+                    new Promise((resolve) => {
+                        worker.once("exit", resolve);
+                        worker.process.kill("SIGTERM");
+                    })
+            )
+        );
+    };
+}
+
+module.exports = { startCluster };
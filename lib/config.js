@@ -0,0 +1,120 @@
+const text = { type: "string" };
+const flag = { type: "boolean" };
+const list = (items) => ({ type: "array", items });
+const glob = { type: "string", format: "glob" };
+const globs = { type: ["string", "array"], format: "glob", items: glob };
+
+const CSP_DIRECTIVES = [
+    "default-src",
+    "script-src",
+    "script-src-elem",
+    "script-src-attr",
+    "style-src",
+    "style-src-elem",
+    "style-src-attr",
+    "img-src",
+    "font-src",
+    "connect-src",
+    "media-src",
+    "object-src",
+    "child-src",
+    "frame-src",
+    "worker-src",
+    "manifest-src",
+    "frame-ancestors",
+    "form-action",
+    "base-uri",
+    "sandbox",
+    "upgrade-insecure-requests",
+];
+const cspSources = {
+    type: "object",
+    propertyNames: { type: "string", enum: CSP_DIRECTIVES },
+    additionalProperties: list(text),
+};
+
+const SETTINGS = {
+    // Source files to publish; copies run before CSS and JS so that those
+    // can reference the fingerprinted copies.
+    assets: list({
+        type: "object",
+        required: ["files", "processor"],
+        properties: {
+            files: globs,
+            processor: { type: "string", enum: ["copy", "css", "js"] },
+            fingerprint: flag,
+        },
+    }),
+    mimeTypes: {
+        type: "object",
+        propertyNames: { type: "string", format: "extension" },
+        additionalProperties: text,
+    },
+    // The first rule matching a path gives its Cache-Control.
+    cache: list({
+        type: "object",
+        required: ["cacheControl"],
+        properties: { files: globs, hashed: flag, cacheControl: text },
+    }),
+    // Sources added to the generated Content-Security-Policy directives.
+    csp: cspSources,
+    // Where browsers send violation reports; null turns reporting off.
+    cspReports: { type: ["string", "null"] },
+    // A policy to trial without breaking anything: the enforced one with
+    // `add` sources added and `remove` sources removed, sent as
+    // Content-Security-Policy-Report-Only.
+    cspReportOnly: {
+        type: ["object", "null"],
+        properties: { add: cspSources, remove: cspSources },
+    },
+    // Removes the rules of the CSS inlined in pages that match nothing in
+    // the page. Words of script.js count as used, since it can add classes
+    // at runtime; `keep` lists other class, id, tag or attribute names.
+    pruneCSS: {
+        type: ["object", "null"],
+        properties: { keep: list(text) },
+    },
+    // Overrides of the default response headers; null removes one.
+    headers: {
+        type: "object",
+        propertyNames: { type: "string", format: "header" },
+        additionalProperties: { type: ["string", "null"] },
+    },
+};
+
+const CONFIG_SCHEMA = {
+    type: "object",
+    properties: {
+        ...SETTINGS,
+        environments: {
+            type: "object",
+            additionalProperties: { type: "object", properties: SETTINGS },
+        },
+    },
+};
+
+// Objects are merged key by key; lists and values are replaced.
+function merge(base, override) {
+    const isObject = (value) =>
+        value !== null && typeof value === "object" && !Array.isArray(value);
+    if (!isObject(base) || !isObject(override)) return override;
+
+    const merged = { ...base };
+    Object.entries(override).forEach(([key, value]) => {
+        merged[key] = key in base ? merge(base[key], value) : value;
+    });
+    return merged;
+}
+
+/**
+ * Applies the `environments[environment]` overrides of a validated config
+ * and fills in the settings left out.
+ */
+function resolveConfig({ environments = {}, ...config }, environment) {
+    return merge(
+        { assets: [], mimeTypes: {}, cache: [], csp: {}, headers: {} },
+        merge(config, environments[environment] || {})
+    );
+}
+
+module.exports = { CONFIG_SCHEMA, CSP_DIRECTIVES, resolveConfig };
@@ -0,0 +1,216 @@
+const crypto = require("crypto");
+
+const FIELD_LIMITS = { name: 100, email: 254, message: 5000 };
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const CONTROL = /[\u0000-\u001f\u007f]/;
+
+class RequestError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.name = "RequestError";
+        this.statusCode = statusCode;
+    }
+}
+
+function readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        if (Number(req.headers["content-length"]) > maxBytes)
+            return reject(new RequestError(413, "Request body too large"));
+
+        const chunks = [];
+        let size = 0;
+        req.on("data", (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                req.removeAllListeners("data");
+                reject(new RequestError(413, "Request body too large"));
+            } else {
+                chunks.push(chunk);
+            }
+        });
+        req.on("end", () => resolve(Buffer.concat(chunks)));
+        req.on("error", reject);
+    });
+}
+
+/**
+ * Reads an urlencoded or JSON request body into a plain object of strings,
+ * keeping the first value of repeated fields and dropping non-strings.
+ */
+async function readForm(req, maxBytes) {
+    const type = (req.headers["content-type"] || "").split(";")[0].trim();
+    if (
+        type !== "application/x-www-form-urlencoded" &&
+        type !== "application/json"
+    )
+        throw new RequestError(415, `Unsupported content type "${type}"`);
+
+    const text = (await readBody(req, maxBytes)).toString("utf8");
+    let fields;
+    if (type === "application/json") {
+        try {
+            fields = JSON.parse(text);
+        } catch {
+            throw new RequestError(400, "Malformed JSON body");
+        }
+        if (
+            fields === null ||
+            typeof fields !== "object" ||
+            Array.isArray(fields)
+        )
+            throw new RequestError(400, "Expected a JSON object");
+    } else {
+        fields = {};
+        new URLSearchParams(text).forEach((value, key) => {
+            if (!(key in fields)) fields[key] = value;
+        });
+    }
+
+    return Object.fromEntries(
+        Object.entries(fields).filter(([, value]) => typeof value === "string")
+    );
+}
+
+// Returns a map of field name to error code; empty when the form is valid.
+function validateContact(fields) {
+    const errors = {};
+    Object.entries(FIELD_LIMITS).forEach(([field, limit]) => {
+        const value = (fields[field] || "").trim();
+        if (!value) errors[field] = "required";
+        else if (value.length > limit) errors[field] = "tooLong";
+        else if (field !== "message" && CONTROL.test(value))
+            errors[field] = "invalid";
+        else if (field === "email" && !EMAIL.test(value))
+            errors[field] = "invalid";
+    });
+    return errors;
+}
+
+const sign = (secret, value) =>
+    crypto.createHmac("sha256", secret).update(value).digest("base64url");
+
+// A token holding when the form was served, signed so that it cannot be
+// backdated.
+function issueFormToken(secret, now = Date.now()) {
+    const issued = String(now);
+    return `${issued}.${sign(secret, issued)}`;
+}
+
+// Seconds since `token` was issued; null if it is missing or forged.
+function formTokenAge(token, secret, now = Date.now()) {
+    const [issued, signature = ""] = String(token || "").split(".");
+    if (!/^\d{1,15}$/.test(issued)) return null;
+    const expected = Buffer.from(sign(secret, issued));
+    const given = Buffer.from(signature);
+    if (
+        given.length !== expected.length ||
+        !crypto.timingSafeEqual(given, expected)
+    )
+        return null;
+    return (now - Number(issued)) / 1000;
+}
+
+/**
+ * Screens a submission before it is delivered. `website` is a honeypot
+ * hidden from people, and `token` tells when the form was served: people
+ * take more than `minSeconds` to fill it in. Both catch bots, which get
+ * "spam". A missing, forged or older token gives "expired", as people get
+ * from a form left open for long, served from a cache or signed with a
+ * secret since replaced; null means the submission can go through.
+ */
+function screenForm(fields, token, { secret, minSeconds, maxSeconds, now }) {
+    if (fields.website) return "spam";
+    const age = formTokenAge(token, secret, now);
+    if (age === null || age > maxSeconds) return "expired";
+    return age < minSeconds ? "spam" : null;
+}
+
+/**
+ * Takes a contact form submission through the rate limit of `client`, the
+ * spam checks and validation, then delivers it through `transport`.
+ * Resolves to the outcome ("sent", "invalid", "expired", "limited" or
+ * "failed") with its status code, field errors, headers and the locale to
+ * answer in. `renewToken` is set when the form needs a new token, which
+ * an "expired" outcome asks to resend with after `Retry-After` seconds.
+ */
+async function submitContact(req, options) {
+    const { client, limiter, transport, maxBytes, locales } = options;
+    let { locale } = options;
+
+    const limit = await limiter.hit(client);
+    if (!limit.allowed)
+        return {
+            statusCode: 429,
+            locale,
+            outcome: "limited",
+            headers: { "Retry-After": limit.retryAfter },
+        };
+
+    let fields;
+    try {
+        fields = await readForm(req, maxBytes);
+    } catch (error) {
+        if (!(error instanceof RequestError)) throw error;
+        return {
+            statusCode: error.statusCode,
+            locale,
+            outcome: "invalid",
+            headers:
+                error.statusCode === 413 && req.httpVersionMajor === 1
+                    ? { Connection: "close" }
+                    : {},
+        };
+    }
+    if (locales.includes(fields.lang)) locale = fields.lang;
+
+    // Bots are told their message went through.
+    const screened = screenForm(fields, options.token, options);
+    if (screened === "spam")
+        return { statusCode: 200, locale, outcome: "sent" };
+    const renewToken = screened === "expired";
+
+    const errors = validateContact(fields);
+    if (Object.keys(errors).length)
+        return {
+            statusCode: 422,
+            locale,
+            outcome: "invalid",
+            errors,
+            renewToken,
+        };
+
+    if (renewToken)
+        return {
+            statusCode: 409,
+            locale,
+            outcome: "expired",
+            headers: { "Retry-After": options.minSeconds },
+            renewToken,
+        };
+
+    try {
+        await transport.send({
+            date: new Date().toISOString(),
+            locale,
+            name: fields.name.trim(),
+            email: fields.email.trim(),
+            message: fields.message.trim(),
+        });
+    } catch (error) {
+        console.error("Contact delivery failed:", error.message);
+        return { statusCode: 503, locale, outcome: "failed" };
+    }
+    return { statusCode: 200, locale, outcome: "sent" };
+}
+
+module.exports = {
+    FIELD_LIMITS,
+    RequestError,
+    readBody,
+    readForm,
+    validateContact,
+    issueFormToken,
+    formTokenAge,
+    screenForm,
+    submitContact,
+};
@@ -0,0 +1,93 @@
+const text = { type: "string" };
+const url = { type: "string", format: "url" };
+const month = { type: "string", format: "month" };
+const year = { type: "string", format: "year" };
+const date = { type: "string", format: "date" };
+const list = (items) => ({ type: "array", items });
+
+// Translatable text: a language-neutral string or one string per locale.
+const localized = {
+    type: ["string", "object"],
+    additionalProperties: text,
+    localized: true,
+};
+
+const CONTENT_SCHEMA = {
+    type: "object",
+    required: ["profile", "skills", "experience", "education", "projects"],
+    properties: {
+        profile: {
+            type: "object",
+            required: ["name", "title", "headline", "summary", "links"],
+            properties: {
+                name: text,
+                title: localized,
+                headline: localized,
+                summary: localized,
+                links: list({
+                    type: "object",
+                    required: ["label", "url"],
+                    properties: { label: localized, url },
+                }),
+            },
+        },
+        skills: list({
+            type: "object",
+            required: ["name", "tags"],
+            properties: { name: localized, tags: list(localized) },
+        }),
+        experience: list({
+            type: "object",
+            required: ["role", "organization", "start", "highlights"],
+            properties: {
+                role: localized,
+                organization: text,
+                url,
+                start: month,
+                end: month,
+                highlights: list(localized),
+            },
+        }),
+        education: list({
+            type: "object",
+            required: ["degree", "school", "start", "end", "description"],
+            properties: {
+                degree: localized,
+                school: text,
+                distinction: localized,
+                level: localized,
+                start: year,
+                end: year,
+                description: localized,
+            },
+        }),
+        projects: list({
+            type: "object",
+            required: ["name", "url", "description", "tags"],
+            properties: {
+                name: text,
+                url,
+                description: localized,
+                tags: list(text),
+            },
+        }),
+    },
+};
+
+// Front matter of the Markdown files in posts/. A post is written in one
+// language, the default locale unless `lang` says otherwise.
+const POST_SCHEMA = {
+    type: "object",
+    required: ["title", "date", "description"],
+    properties: {
+        title: text,
+        date,
+        updated: date,
+        description: text,
+        lang: text,
+        tags: list(text),
+        draft: { type: "boolean" },
+    },
+};
+
+module.exports = { CONTENT_SCHEMA, POST_SCHEMA };
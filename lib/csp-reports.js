@@ -0,0 +1,211 @@
+const fs = require("fs");
+const path = require("path");
+
+const MAX_FIELD = 512;
+const KEY_FIELDS = [
+    "documentURL",
+    "blockedURL",
+    "directive",
+    "disposition",
+    "sourceFile",
+    "line",
+];
+
+// Query strings and fragments may hold tokens, so only origin and path of
+// URLs are kept; keywords like "inline" or "eval" are kept as they are.
+function cleanURL(value) {
+    if (typeof value !== "string") return "";
+    try {
+        const url = new URL(value);
+        return `${url.origin}${url.pathname}`.slice(0, MAX_FIELD);
+    } catch {
+        return value.slice(0, MAX_FIELD);
+    }
+}
+
+function cleanText(value) {
+    return typeof value === "string" ? value.slice(0, MAX_FIELD) : "";
+}
+
+function violation({
+    documentURL,
+    blockedURL,
+    directive,
+    disposition,
+    sourceFile,
+    line,
+    column,
+    sample,
+}) {
+    return {
+        documentURL: cleanURL(documentURL),
+        blockedURL: cleanURL(blockedURL),
+        directive: cleanText(directive).split(" ")[0],
+        disposition: disposition === "report" ? "report" : "enforce",
+        sourceFile: cleanURL(sourceFile),
+        line: Number.isInteger(line) ? line : null,
+        column: Number.isInteger(column) ? column : null,
+        sample: cleanText(sample).slice(0, 40),
+    };
+}
+
+/**
+ * Reads the violations out of a report-uri body (application/csp-report)
+ * or a Reporting API body (application/reports+json). Anything that is not
+ * a CSP violation is ignored.
+ */
+function parseReports(type, data) {
+    if (type === "application/csp-report") {
+        const report = data && data["csp-report"];
+        if (!report || typeof report !== "object") return [];
+        return [
+            violation({
+                documentURL: report["document-uri"],
+                blockedURL: report["blocked-uri"],
+                directive:
+                    report["effective-directive"] ||
+                    report["violated-directive"],
+                disposition: report.disposition,
+                sourceFile: report["source-file"],
+                line: report["line-number"],
+                column: report["column-number"],
+                sample: report["script-sample"],
+            }),
+        ];
+    }
+
+    if (!Array.isArray(data)) return [];
+    return data
+        .filter(
+            (report) =>
+                report &&
+                report.type === "csp-violation" &&
+                report.body &&
+                typeof report.body === "object"
+        )
+        .map(({ body }) =>
+            violation({
+                documentURL: body.documentURL,
+                blockedURL: body.blockedURL,
+                directive: body.effectiveDirective,
+                disposition: body.disposition,
+                sourceFile: body.sourceFile,
+                line: body.lineNumber,
+                column: body.columnNumber,
+                sample: body.sample,
+            })
+        );
+}
+
+// Violations differing only in column, sample or date are the same one.
+function keyOf(report) {
+    return KEY_FIELDS.map((field) => report[field]).join("\n");
+}
+
+/**
+ * Appends each distinct violation once to a JSONL file. The set of known
+ * violations is read back on load so restarts do not store them again; in
+ * a cluster, workers share the primary's store through
+ * CSPReportStoreClient. At most `maxReports` violations are kept.
+ */
+class CSPReportStore {
+    constructor({ file, maxReports = 1000 }) {
+        this.file = file;
+        this.maxReports = maxReports;
+        this.known = new Set();
+    }
+
+    async load() {
+        let text = "";
+        try {
+            text = await fs.promises.readFile(this.file, "utf8");
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+        }
+        this.known = new Set(
+            text
+                .split("\n")
+                .filter(Boolean)
+                .map((line) => {
+                    try {
+                        return keyOf(JSON.parse(line));
+                    } catch {
+                        return null;
+                    }
+                })
+                .filter(Boolean)
+        );
+    }
+
+    // Resolves to true when `report` had not been seen before.
+    async add(report, date = new Date()) {
+        const key = keyOf(report);
+        if (this.known.has(key) || this.known.size >= this.maxReports)
+            return false;
+
+        this.known.add(key);
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.appendFile(
+            this.file,
+            JSON.stringify({ date: date.toISOString(), ...report }) + "\n"
+        );
+        return true;
+    }
+}
+
+/**
+ * Stands in for a CSPReportStore in cluster workers, so that a violation
+ * reported to several of them is stored once: the primary process keeps
+ * the store and answers through serveCSPReports.
+ */
+class CSPReportStoreClient {
+    constructor(channel = process) {
+        this.channel = channel;
+        this.pending = new Map();
+        this.nextId = 0;
+        channel.on("message", (message) => {
+            if (message.cspReports !== "added") return;
+            const resolve = this.pending.get(message.id);
+            this.pending.delete(message.id);
+            if (resolve) resolve(message.added);
+        });
+    }
+
+    async load() {}
+
+    add(report, date = new Date()) {
+        return new Promise((resolve) => {
+            const id = this.nextId++;
+            this.pending.set(id, resolve);
+            this.channel.send({
+                cspReports: "add",
+                id,
+                report,
+                date: date.toISOString(),
+            });
+        });
+    }
+}
+
+// Answers the CSPReportStoreClient of `worker` from the primary's `store`.
+function serveCSPReports(worker, store) {
+    worker.on("message", (message) => {
+        if (message.cspReports !== "add") return;
+        store
+            .add(message.report, new Date(message.date))
+            .catch((error) => {
+                console.error("Storing a CSP report failed:", error.message);
+                return false;
+            })
+            .then((added) =>
+                worker.send({ cspReports: "added", id: message.id, added })
+            );
+    });
+}
+
+module.exports = {
+    CSPReportStore,
+    CSPReportStoreClient,
+    parseReports,
+    serveCSPReports,
+};
@@ -0,0 +1,352 @@
+// A zero length needs no unit. Times, angles and percentages keep theirs:
+// `0s` is required in transitions and `0%` in keyframe selectors.
+const ZERO_LENGTH =
+    /^[+-]?(?:0+\.?0*|\.0+)(?:px|em|rem|ex|ch|vw|vh|vmin|vmax|cm|mm|in|pt|pc|q)$/i;
+// In these a unitless zero is a number, which cannot be added to a length.
+const MATH_FUNCTIONS = new Set(["calc", "-webkit-calc", "min", "max", "clamp"]);
+// At-rules whose blocks hold rules rather than declarations.
+const GROUPING_RULES = new Set([
+    "media",
+    "supports",
+    "container",
+    "layer",
+    "document",
+    "-moz-document",
+    "scope",
+    "starting-style",
+]);
+const PUNCTUATION = "{}()[];:,>+~!";
+
+// Spaces that can go, by what is before and after them. Selectors keep
+// the space before `:` and `[` (`a :hover` is not `a:hover`), at-rule
+// preludes the one before `(` (`and(` would be a function) and values
+// everything around operators, which `calc()` needs.
+const SPACING = {
+    selector: { before: ",>+~([", after: ",>+~)]" },
+    prelude: { before: ",(:", after: ",)" },
+    value: { before: ",(", after: ",)!" },
+    verbatim: { before: "", after: "" },
+};
+
+/**
+ * Splits CSS into tokens: strings, unquoted `url()` values, punctuation,
+ * runs of other characters and single spaces standing for any whitespace
+ * and comments.
+ */
+function tokenize(css) {
+    const tokens = [];
+    const space = () => {
+        if (tokens.length && tokens[tokens.length - 1] !== " ")
+            tokens.push(" ");
+    };
+
+    let i = 0;
+    while (i < css.length) {
+        const c = css[i];
+
+        if (c === "/" && css[i + 1] === "*") {
+            const end = css.indexOf("*/", i + 2);
+            i = end === -1 ? css.length : end + 2;
+            space();
+        } else if (/\s/.test(c)) {
+            while (i < css.length && /\s/.test(css[i])) i++;
+            space();
+        } else if (c === '"' || c === "'") {
+            let j = i + 1;
+            while (j < css.length && css[j] !== c && css[j] !== "\n") {
+                if (css[j] === "\\") j++;
+                j++;
+            }
+            tokens.push(css.slice(i, j + 1));
+            i = j + 1;
+        } else if (PUNCTUATION.includes(c)) {
+            tokens.push(c);
+            i++;
+        } else {
+            let j = i;
+            while (
+                j < css.length &&
+                !/[\s"']/.test(css[j]) &&
+                !PUNCTUATION.includes(css[j]) &&
+                !(css[j] === "/" && css[j + 1] === "*")
+            ) {
+                if (css[j] === "\\") j++;
+                j++;
+            }
+            const word = css.slice(i, j);
+            const url = /^url\(\s*([^"'\s)](?:\\.|[^\\)])*?)\s*\)/i.exec(
+                css.slice(i)
+            );
+            if (word.toLowerCase() === "url" && url) {
+                tokens.push(`url(${url[1]})`);
+                i += url[0].length;
+            } else {
+                tokens.push(word);
+                i = j;
+            }
+        }
+    }
+    return tokens;
+}
+
+function trim(tokens) {
+    const start = tokens[0] === " " ? 1 : 0;
+    const end = tokens[tokens.length - 1] === " " ? -1 : tokens.length;
+    return tokens.slice(start, end);
+}
+
+function compact(tokens, { before, after }) {
+    return trim(tokens)
+        .map((token, i, list) => {
+            if (token !== " ") return token;
+            const removable =
+                before.includes(list[i - 1]) || after.includes(list[i + 1]);
+            return removable ? "" : " ";
+        })
+        .join("");
+}
+
+function atRuleName(prelude) {
+    const [first = ""] = trim(prelude);
+    return first.startsWith("@") ? first.slice(1).toLowerCase() : null;
+}
+
+// Tokens up to the `}` closing the current block, nested blocks included.
+function readBlock(tokens, state) {
+    const start = state.i;
+    let depth = 0;
+    while (state.i < tokens.length) {
+        const token = tokens[state.i++];
+        if (token === "{") depth++;
+        else if (token === "}" && depth-- === 0)
+            return tokens.slice(start, state.i - 1);
+    }
+    return tokens.slice(start);
+}
+
+// Rules are `{prelude, rules}` for grouping at-rules and keyframes,
+// `{prelude, declarations}` for other blocks and `{prelude}` for
+// statements like `@import`.
+function parseRules(tokens, state, nested) {
+    const rules = [];
+    let prelude = [];
+    while (state.i < tokens.length) {
+        const token = tokens[state.i++];
+        if (token === "}") {
+            if (nested) break;
+        } else if (token === ";") {
+            if (trim(prelude).length) rules.push({ prelude });
+            prelude = [];
+        } else if (token === "{") {
+            const name = atRuleName(prelude);
+            rules.push(
+                name && (GROUPING_RULES.has(name) || name.endsWith("keyframes"))
+                    ? { prelude, rules: parseRules(tokens, state, true) }
+                    : { prelude, declarations: readBlock(tokens, state) }
+            );
+            prelude = [];
+        } else {
+            prelude.push(token);
+        }
+    }
+    return rules;
+}
+
+function splitTopLevel(tokens, separator) {
+    const parts = [[]];
+    let depth = 0;
+    tokens.forEach((token) => {
+        if ("([{".includes(token)) depth++;
+        else if (")]}".includes(token)) depth--;
+        if (token === separator && depth === 0) parts.push([]);
+        else parts[parts.length - 1].push(token);
+    });
+    return parts;
+}
+
+function shortenValue(tokens, property) {
+    const functions = [];
+    return tokens.map((token, i) => {
+        if (token === "(") {
+            functions.push(i > 0 ? tokens[i - 1].toLowerCase() : "");
+            return token;
+        }
+        if (token === ")") {
+            functions.pop();
+            return token;
+        }
+        if (/^#([0-9a-f])\1([0-9a-f])\2([0-9a-f])\3$/i.test(token))
+            return `#${token[1]}${token[3]}${token[5]}`;
+        if (
+            ZERO_LENGTH.test(token) &&
+            // `flex: 1 0` would make the zero a shrink factor.
+            property !== "flex" &&
+            !functions.some((name) => MATH_FUNCTIONS.has(name))
+        )
+            return "0";
+        return token.replace(/^([+-]?)0+(\.\d)/, "$1$2");
+    });
+}
+
+function serializeDeclarations(tokens) {
+    return splitTopLevel(tokens, ";")
+        .map((declaration) => {
+            const colon = declaration.indexOf(":");
+            // Nested rules are kept as they are.
+            if (colon === -1 || declaration.includes("{"))
+                return compact(declaration, SPACING.verbatim);
+
+            const property = compact(
+                declaration.slice(0, colon),
+                SPACING.verbatim
+            );
+            const value = declaration.slice(colon + 1);
+            // Custom properties are token lists that can be read by
+            // scripts, so only their surrounding spaces go.
+            return property.startsWith("--")
+                ? `${property}:${compact(value, SPACING.verbatim)}`
+                : `${property}:${compact(
+                      shortenValue(value, property.toLowerCase()),
+                      SPACING.value
+                  )}`;
+        })
+        .filter(Boolean)
+        .join(";");
+}
+
+// Drops `:hover`, `::before`, `:not(...)` and the like: they do not make
+// a selector match something the rest of it does not.
+function stripPseudos(selector) {
+    let result = selector;
+    let match;
+    while ((match = /::?[\w-]+\(/.exec(result))) {
+        let end = match.index + match[0].length;
+        for (let depth = 1; end < result.length && depth; end++) {
+            if (result[end] === "(") depth++;
+            else if (result[end] === ")") depth--;
+        }
+        result = result.slice(0, match.index) + result.slice(end);
+    }
+    return result.replace(/::?[\w-]+/g, "");
+}
+
+// Whether `selector` may match an element, given everything the page uses
+// anywhere. Escaped selectors are kept rather than parsed.
+function canMatch(selector, used) {
+    if (selector.includes("\\")) return true;
+
+    const attributes = [];
+    const simple = stripPseudos(
+        selector.replace(
+            /\[((?:"[^"]*"|'[^']*'|[^\]"'])*)\]/g,
+            (match, inner) => {
+                attributes.push(inner.match(/^[\w-]*/)[0].toLowerCase());
+                return "";
+            }
+        )
+    );
+    const names = (pattern) =>
+        Array.from(simple.matchAll(pattern), (match) => match[1]);
+
+    return (
+        attributes.every((name) => !name || used.attributes.has(name)) &&
+        names(/\.(-?[_a-zA-Z][\w-]*)/g).every((name) =>
+            used.classes.has(name)
+        ) &&
+        names(/#(-?[_a-zA-Z][\w-]*)/g).every((name) => used.ids.has(name)) &&
+        names(/(?:^|[\s>+~])([a-zA-Z][\w-]*)/g).every((name) =>
+            used.tags.has(name.toLowerCase())
+        )
+    );
+}
+
+function serializeRules(rules, used, inKeyframes = false) {
+    return rules
+        .map(({ prelude, rules: children, declarations }) => {
+            const name = atRuleName(prelude);
+            if (name !== null) {
+                const head = compact(prelude, SPACING.prelude);
+                if (!children && !declarations) return `${head};`;
+                const body = children
+                    ? serializeRules(children, used, name.endsWith("keyframes"))
+                    : serializeDeclarations(declarations);
+                // An empty `@layer` block still sets the layer order.
+                return body || name === "layer" ? `${head}{${body}}` : "";
+            }
+
+            const body = declarations
+                ? serializeDeclarations(declarations)
+                : "";
+            if (!body) return "";
+            if (inKeyframes)
+                return `${compact(prelude, SPACING.value)}{${body}}`;
+
+            let selectors = splitTopLevel(trim(prelude), ",").map((tokens) =>
+                compact(tokens, SPACING.selector)
+            );
+            if (used)
+                selectors = selectors.filter((selector) =>
+                    canMatch(selector, used)
+                );
+            return selectors.length ? `${selectors.join(",")}{${body}}` : "";
+        })
+        .join("");
+}
+
+/**
+ * Collects the tag names, classes, ids and attribute names used by `html`.
+ * Scripts can add classes and elements at runtime, so every word of
+ * `scripts` and every name in `keep` counts as any of them.
+ */
+function collectNames(html, scripts = [], keep = []) {
+    const used = {
+        tags: new Set(),
+        classes: new Set(),
+        ids: new Set(),
+        attributes: new Set(),
+    };
+
+    const tags = html.matchAll(
+        /<([a-zA-Z][\w-]*)((?:"[^"]*"|'[^']*'|[^>"'])*)>/g
+    );
+    for (const [, tag, attributes] of tags) {
+        used.tags.add(tag.toLowerCase());
+        const pairs = attributes.matchAll(
+            /([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g
+        );
+        for (const [, name, ...values] of pairs) {
+            const attribute = name.toLowerCase();
+            const value = values.find((part) => part !== undefined) || "";
+            used.attributes.add(attribute);
+            if (attribute === "class")
+                value
+                    .split(/\s+/)
+                    .filter(Boolean)
+                    .forEach((name) => used.classes.add(name));
+            if (attribute === "id") used.ids.add(value);
+        }
+    }
+
+    const words = scripts.flatMap(
+        (script) => script.match(/-?[_a-zA-Z][\w-]*/g) || []
+    );
+    [...words, ...keep].forEach((word) => {
+        used.tags.add(word.toLowerCase());
+        used.classes.add(word);
+        used.ids.add(word);
+        used.attributes.add(word.toLowerCase());
+    });
+    return used;
+}
+
+/**
+ * Minifies a stylesheet without changing what it means: strings, `url()`
+ * values, custom properties and the operators of `calc()` and `clamp()`
+ * are kept as they are. With `used` (see collectNames), selectors that
+ * match nothing are removed, and so are rules left without any.
+ */
+function minifyCSS(css, { used = null } = {}) {
+    return serializeRules(parseRules(tokenize(css), { i: 0 }, false), used);
+}
+
+module.exports = { collectNames, minifyCSS };
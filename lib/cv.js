@@ -0,0 +1,73 @@
+const { PDFDocument } = require("./pdf");
+
+// `**bold**` in highlights is for the page; the CV is set in plain text.
+const plain = (text) => text.replace(/\*\*(.+?)\*\*/g, "$1");
+
+/**
+ * The PDF CV of `data`, the page data of `locale`: its profile, experience,
+ * education and skills under the headings of its catalog. `url` is the page
+ * it is downloaded from and `period` formats the dates of an item.
+ */
+function generateCV(data, { locale, url, period }) {
+    const { profile, experience, education, skills, t } = data;
+    const muted = [0.4, 0.4, 0.4];
+    const accent = [0.2, 0.45, 0.2];
+    const doc = new PDFDocument({
+        title: `${profile.name} — ${profile.title}`,
+        author: profile.name,
+        lang: locale,
+    });
+    const heading = (title) => {
+        doc.text(title, { font: "bold", size: 13, before: 14 });
+        doc.rule();
+    };
+
+    doc.text(profile.name, { font: "bold", size: 22 });
+    doc.text(profile.title, { size: 13, color: accent, after: 4 });
+    [{ label: url, url }, ...profile.links].forEach(({ label, url: link }) =>
+        doc.text(label === link ? link : `${label}: ${link}`, {
+            size: 9,
+            color: muted,
+            link,
+        })
+    );
+    doc.text(profile.summary, { before: 8 });
+
+    heading(t.experience.title);
+    experience.forEach((item) => {
+        doc.text(item.role, { font: "bold", size: 11, before: 6 });
+        doc.text(`${item.organization} • ${period(item)}`, {
+            color: muted,
+            link: item.url || null,
+            after: 2,
+        });
+        item.highlights.forEach((highlight) =>
+            doc.text(plain(highlight), { bullet: true })
+        );
+    });
+
+    heading(t.education.title);
+    education.forEach((item) => {
+        const distinction = item.distinction ? ` (${item.distinction})` : "";
+        doc.text(`${item.degree}${distinction} — ${item.school}`, {
+            font: "bold",
+            size: 11,
+            before: 6,
+        });
+        doc.text([period(item), item.level].filter(Boolean).join(" • "), {
+            color: muted,
+            after: 2,
+        });
+        doc.text(item.description);
+    });
+
+    heading(t.skills.title);
+    skills.forEach(({ name, tags }) => {
+        doc.text(name, { font: "bold", before: 4 });
+        doc.text(tags.map(({ label }) => label).join(", "));
+    });
+
+    return doc.toBuffer();
+}
+
+module.exports = { generateCV };
@@ -0,0 +1,142 @@
+const fs = require("fs");
+const path = require("path");
+
+// Written into every export, so that only directories holding one are
+// cleared by the next.
+const EXPORT_MARKER = ".portfolio-export";
+
+/**
+ * Empties `outDir` for a new export, creating it if needed. It must not be
+ * `root` or contain it, and must be empty or hold a previous export: any
+ * other directory is left as it is and the export refused.
+ */
+async function prepareExportDir(outDir, root) {
+    const relative = path.relative(outDir, root);
+    if (!relative || !relative.startsWith(".."))
+        throw new Error(`Refusing to export into ${outDir}: it holds ${root}`);
+
+    let names;
+    try {
+        names = await fs.promises.readdir(outDir);
+    } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+        names = [];
+    }
+    if (names.length && !names.includes(EXPORT_MARKER))
+        throw new Error(
+            `Refusing to export into ${outDir}: it is not empty and holds no previous export`
+        );
+
+    await fs.promises.rm(outDir, { recursive: true, force: true });
+    await fs.promises.mkdir(outDir, { recursive: true });
+}
+
+function generateHeadersFile(entries, securityHeaders) {
+    const block = (route, headers) =>
+        [
+            route,
+            ...Object.entries(headers)
+                .filter(([, value]) => value)
+                .map(([key, value]) => `  ${key}: ${value}`),
+        ].join("\n");
+
+    const rules = [block("/*", securityHeaders)];
+    entries.forEach((entry) => {
+        const headers = {
+            "Content-Type": entry.type,
+            "Cache-Control": entry.cache,
+            Link: entry.links && entry.links.join(", "),
+        };
+        if (entry.path.endsWith("/index.html"))
+            rules.push(
+                block(entry.path.slice(0, -"index.html".length), headers)
+            );
+        rules.push(block(entry.path, headers));
+    });
+
+    return rules.join("\n") + "\n";
+}
+
+function generateNginxConfig(entries, securityHeaders) {
+    const quote = (value) => `"${value.replace(/(["\\])/g, "\\$1")}"`;
+    const headerLines = Object.entries(securityHeaders)
+        .filter(([, value]) => value)
+        .map(([key, value]) => `    add_header ${key} ${quote(value)} always;`);
+
+    const locations = entries.map((entry) =>
+        [
+            `location = ${entry.path} {`,
+            "    types { }",
+            `    default_type ${quote(entry.type)};`,
+            `    add_header Cache-Control ${quote(entry.cache)} always;`,
+            ...(entry.links
+                ? [`    add_header Link ${quote(entry.links.join(", "))};`]
+                : []),
+            ...headerLines,
+            "}",
+        ].join("\n")
+    );
+
+    return [
+        "# Generated by `node server.js export`. Include it in a server block",
+        "# whose root is the export directory.",
+        "index index.html;",
+        "gzip_static on;",
+        "# Serves the .br files too, with the ngx_brotli module loaded:",
+        "# brotli_static on;",
+        "gzip_vary on;",
+        "",
+        ...locations,
+        "",
+    ].join("\n");
+}
+
+/**
+ * Writes `entries` with their precompressed variants and modification
+ * times to `outDir`, along with the headers they are served with as a
+ * Netlify/Cloudflare `_headers` file and an nginx include.
+ */
+async function exportStatic({ entries, securityHeaders, outDir, root }) {
+    await prepareExportDir(outDir, root);
+
+    await Promise.all(
+        entries.map(async (entry) => {
+            const target = path.join(outDir, entry.path);
+            await fs.promises.mkdir(path.dirname(target), {
+                recursive: true,
+            });
+
+            const variants = [
+                [target, entry.body],
+                [`${target}.br`, entry.br],
+                [`${target}.gz`, entry.gz],
+            ].filter(([, body]) => body);
+
+            const mtime = new Date(entry.mtimeMs);
+            for (const [file, body] of variants) {
+                await fs.promises.writeFile(file, body);
+                await fs.promises.utimes(file, mtime, mtime);
+            }
+        })
+    );
+
+    await fs.promises.writeFile(
+        path.join(outDir, "_headers"),
+        generateHeadersFile(entries, securityHeaders)
+    );
+    await fs.promises.writeFile(
+        path.join(outDir, "nginx.conf"),
+        generateNginxConfig(entries, securityHeaders)
+    );
+    await fs.promises.writeFile(path.join(outDir, EXPORT_MARKER), "");
+
+    console.log(`Exported ${entries.length} files to ${outDir}`);
+}
+
+module.exports = {
+    EXPORT_MARKER,
+    prepareExportDir,
+    generateHeadersFile,
+    generateNginxConfig,
+    exportStatic,
+};
@@ -0,0 +1,74 @@
+const fs = require("fs");
+const path = require("path");
+
+// Supports `*`, `?`, `**` (any number of directories) and `{a,b}`.
+function globToRegExp(pattern) {
+    let source = "";
+    let braces = 0;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === "*" && pattern[i + 1] === "*") {
+            const directories = pattern[i + 2] === "/";
+            source += directories ? "(?:.*/)?" : ".*";
+            i += directories ? 2 : 1;
+        } else if (char === "*") {
+            source += "[^/]*";
+        } else if (char === "?") {
+            source += "[^/]";
+        } else if (char === "{") {
+            braces++;
+            source += "(?:";
+        } else if (char === "}" && braces) {
+            braces--;
+            source += ")";
+        } else if (char === "," && braces) {
+            source += "|";
+        } else {
+            source += char.replace(/[.+^$(){}|[\]\\]/g, "\\$&");
+        }
+    }
+
+    if (braces) throw new SyntaxError(`Unclosed "{" in glob "${pattern}"`);
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Returns a function telling whether a relative POSIX path matches one of
+ * `patterns`. Like in .gitignore, a pattern without a slash matches the
+ * file name at any depth.
+ */
+function createMatcher(patterns) {
+    const tests = [].concat(patterns).map((pattern) => {
+        const regexp = globToRegExp(pattern);
+        return pattern.includes("/")
+            ? (file) => regexp.test(file)
+            : (file) => regexp.test(path.posix.basename(file));
+    });
+    return (file) => tests.some((test) => test(file));
+}
+
+// Lists the files under `root` matching `patterns`, sorted, as relative
+// POSIX paths. Directories and files for which `skip` returns true are
+// not visited.
+async function expandGlobs(root, patterns, skip = () => false) {
+    const matches = createMatcher(patterns);
+    const found = [];
+
+    const walk = async (dir) => {
+        const entries = await fs.promises.readdir(path.join(root, dir), {
+            withFileTypes: true,
+        });
+        for (const entry of entries) {
+            const file = dir ? `${dir}/${entry.name}` : entry.name;
+            if (skip(file)) continue;
+            if (entry.isDirectory()) await walk(file);
+            else if (entry.isFile() && matches(file)) found.push(file);
+        }
+    };
+
+    await walk("");
+    return found.sort();
+}
+
+module.exports = { globToRegExp, createMatcher, expandGlobs };
@@ -0,0 +1,414 @@
+const VOID_ELEMENTS = new Set([
+    "area",
+    "base",
+    "br",
+    "col",
+    "embed",
+    "hr",
+    "img",
+    "input",
+    "link",
+    "meta",
+    "source",
+    "track",
+    "wbr",
+]);
+// Elements whose content is text up to their end tag.
+const RAW_TEXT = new Set(["script", "style", "textarea", "title"]);
+// Whitespace next to these starts or ends a line, where it is not rendered.
+const BLOCKS = new Set([
+    "address",
+    "article",
+    "aside",
+    "blockquote",
+    "body",
+    "br",
+    "dd",
+    "details",
+    "dialog",
+    "div",
+    "dl",
+    "dt",
+    "fieldset",
+    "figcaption",
+    "figure",
+    "footer",
+    "form",
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "head",
+    "header",
+    "hgroup",
+    "hr",
+    "html",
+    "li",
+    "main",
+    "nav",
+    "ol",
+    "optgroup",
+    "option",
+    "p",
+    "pre",
+    "section",
+    "summary",
+    "table",
+    "tbody",
+    "td",
+    "tfoot",
+    "th",
+    "thead",
+    "tr",
+    "ul",
+]);
+// Elements in which text is never rendered.
+const NO_TEXT = new Set([
+    "html",
+    "head",
+    "table",
+    "thead",
+    "tbody",
+    "tfoot",
+    "tr",
+    "colgroup",
+    "select",
+    "optgroup",
+]);
+// Elements starting a paragraph's sibling close it.
+const CLOSES_PARAGRAPH = [
+    "address",
+    "article",
+    "aside",
+    "blockquote",
+    "details",
+    "div",
+    "dl",
+    "fieldset",
+    "figcaption",
+    "figure",
+    "footer",
+    "form",
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "header",
+    "hgroup",
+    "hr",
+    "main",
+    "menu",
+    "nav",
+    "ol",
+    "p",
+    "pre",
+    "section",
+    "table",
+    "ul",
+];
+// End tags that may be left out before the start tags listed, and, when
+// `parentEnd` is set, before the end of the parent element.
+const OPTIONAL_END_TAGS = {
+    li: { before: ["li"], parentEnd: true },
+    dt: { before: ["dt", "dd"], parentEnd: false },
+    dd: { before: ["dt", "dd"], parentEnd: true },
+    option: { before: ["option", "optgroup"], parentEnd: true },
+    optgroup: { before: ["optgroup"], parentEnd: true },
+    tr: { before: ["tr"], parentEnd: true },
+    td: { before: ["td", "th"], parentEnd: true },
+    th: { before: ["td", "th"], parentEnd: true },
+    thead: { before: ["tbody", "tfoot"], parentEnd: false },
+    tbody: { before: ["tbody", "tfoot"], parentEnd: true },
+    p: { before: CLOSES_PARAGRAPH, parentEnd: true },
+};
+// A paragraph ending with one of these parents keeps its end tag.
+const KEEPS_PARAGRAPH_END = new Set([
+    "a",
+    "audio",
+    "del",
+    "ins",
+    "map",
+    "noscript",
+    "video",
+]);
+const SCRIPT_TYPES = new Set(["", "text/javascript", "application/javascript"]);
+const JSON_TYPES = new Set([
+    "application/json",
+    "application/ld+json",
+    "importmap",
+]);
+
+function readAttributes(html, start) {
+    const attributes = [];
+    const pattern =
+        /\s*(?:(\/?>)|([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?|\/)/y;
+    pattern.lastIndex = start;
+
+    let match;
+    while ((match = pattern.exec(html))) {
+        if (match[1]) {
+            return {
+                attributes,
+                selfClosing: match[1] === "/>",
+                end: pattern.lastIndex,
+            };
+        }
+        if (match[2]) {
+            const value = [match[3], match[4], match[5]].find(
+                (part) => part !== undefined
+            );
+            attributes.push({
+                name: match[2],
+                value: value === undefined ? null : value,
+            });
+        }
+    }
+    return null;
+}
+
+/**
+ * Splits HTML into doctype, comment, text, start tag and end tag tokens.
+ * Start tags of raw text elements carry their text as `content`; their
+ * end tags are not separate tokens.
+ */
+function tokenize(html) {
+    const tokens = [];
+    let text = "";
+    let i = 0;
+
+    const flush = () => {
+        if (text) tokens.push({ type: "text", value: text });
+        text = "";
+    };
+
+    while (i < html.length) {
+        const rest = html.slice(i, i + 9);
+        if (rest.startsWith("<!--")) {
+            const end = html.indexOf("-->", i + 4);
+            const stop = end === -1 ? html.length : end + 3;
+            flush();
+            tokens.push({ type: "comment", value: html.slice(i, stop) });
+            i = stop;
+            continue;
+        }
+        if (/^<![a-z]/i.test(rest)) {
+            const end = html.indexOf(">", i);
+            const stop = end === -1 ? html.length : end + 1;
+            flush();
+            tokens.push({ type: "doctype", value: html.slice(i, stop) });
+            i = stop;
+            continue;
+        }
+
+        const endTag = /<\/([a-zA-Z][\w:-]*)\s*>/y;
+        endTag.lastIndex = i;
+        const closing = endTag.exec(html);
+        if (closing) {
+            flush();
+            tokens.push({ type: "end", name: closing[1] });
+            i = endTag.lastIndex;
+            continue;
+        }
+
+        const startTag = /<([a-zA-Z][\w:-]*)/y;
+        startTag.lastIndex = i;
+        const opening = startTag.exec(html);
+        const tag = opening && readAttributes(html, startTag.lastIndex);
+        if (!tag) {
+            text += html[i++];
+            continue;
+        }
+
+        flush();
+        const token = { type: "start", name: opening[1], ...tag };
+        i = tag.end;
+        delete token.end;
+
+        const name = token.name.toLowerCase();
+        if (RAW_TEXT.has(name) && !token.selfClosing) {
+            const close = html.toLowerCase().indexOf(`</${name}`, i);
+            const stop = close === -1 ? html.length : close;
+            token.content = html.slice(i, stop);
+            i = close === -1 ? stop : html.indexOf(">", close) + 1 || stop;
+        }
+        tokens.push(token);
+    }
+    flush();
+    return tokens;
+}
+
+const nameOf = (token) => token && token.name && token.name.toLowerCase();
+
+// Calls `visit` with each token and the names of the elements open
+// around it, an end tag's own element included.
+function walk(tokens, visit) {
+    const open = [];
+    tokens.forEach((token, i) => {
+        const name = nameOf(token);
+        visit(token, i, open);
+        if (
+            token.type === "start" &&
+            !VOID_ELEMENTS.has(name) &&
+            !token.selfClosing &&
+            token.content === undefined
+        )
+            open.push(name);
+        if (token.type === "end" && open.includes(name))
+            open.splice(open.lastIndexOf(name));
+    });
+}
+
+// Comments go, except conditional ones, and the text around them joins.
+function removeComments(tokens) {
+    return tokens.reduce((result, token) => {
+        if (token.type === "comment" && !token.value.startsWith("<!--[if"))
+            return result;
+        const last = result[result.length - 1];
+        if (token.type === "text" && last && last.type === "text")
+            result[result.length - 1] = {
+                type: "text",
+                value: last.value + token.value,
+            };
+        else result.push(token);
+        return result;
+    }, []);
+}
+
+function isLineBreak(token) {
+    return (
+        !token ||
+        token.type === "doctype" ||
+        (["start", "end"].includes(token.type) && BLOCKS.has(nameOf(token)))
+    );
+}
+
+// Runs of whitespace render as one space, and not at all at the start or
+// end of a line. Spaces between inline elements are kept, since CSS may
+// make either side an inline block.
+function collapseWhitespace(tokens) {
+    const result = [];
+    walk(tokens, (token, i, open) => {
+        if (token.type !== "text") return result.push(token);
+        if (open.includes("pre")) return result.push(token);
+
+        let value = token.value.replace(/[ \t\n\f\r]+/g, " ");
+        if (
+            value === " " &&
+            (NO_TEXT.has(open[open.length - 1] || "html") ||
+                open.includes("head"))
+        )
+            return;
+        if (isLineBreak(tokens[i - 1])) value = value.replace(/^ /, "");
+        if (isLineBreak(tokens[i + 1])) value = value.replace(/ $/, "");
+        if (value) result.push({ type: "text", value });
+    });
+    return result;
+}
+
+function serializeAttribute({ name, value }) {
+    if (!value) return name;
+    if (/^[^\s"'=<>`]+$/.test(value)) return `${name}=${value}`;
+    return value.includes('"') ? `${name}='${value}'` : `${name}="${value}"`;
+}
+
+function minifyContent(token, { minifyCSS, minifyJS }) {
+    const name = nameOf(token);
+    const type = (
+        (
+            token.attributes.find(
+                (attribute) => attribute.name.toLowerCase() === "type"
+            ) || {}
+        ).value || ""
+    ).toLowerCase();
+
+    if (name === "style" && ["", "text/css"].includes(type))
+        return minifyCSS(token.content);
+    if (name === "title")
+        return token.content.replace(/[ \t\n\f\r]+/g, " ").trim();
+    if (name !== "script" || !token.content.trim()) return token.content;
+    if (SCRIPT_TYPES.has(type)) return minifyJS(token.content);
+    if (JSON_TYPES.has(type)) {
+        try {
+            return JSON.stringify(JSON.parse(token.content));
+        } catch {
+            return token.content;
+        }
+    }
+    return token.content;
+}
+
+function serializeStart(token, minifiers) {
+    const name = nameOf(token);
+    const attributes = token.attributes
+        .filter(
+            ({ name: attribute, value }) =>
+                !(
+                    attribute.toLowerCase() === "type" &&
+                    ((name === "script" && /^text\/javascript$/i.test(value)) ||
+                        (["style", "link"].includes(name) &&
+                            /^text\/css$/i.test(value)))
+                )
+        )
+        .map(serializeAttribute);
+
+    let tag = `<${[token.name, ...attributes].join(" ")}`;
+    // Self-closing only means something on foreign elements, like SVG's.
+    if (token.selfClosing && !VOID_ELEMENTS.has(name))
+        tag += /=[^"']*$/.test(tag) ? " />" : "/>";
+    else tag += ">";
+
+    if (token.content === undefined) return tag;
+    return `${tag}${minifyContent(token, minifiers)}</${token.name}>`;
+}
+
+// Whether the end tag `token` may be left out, given what follows it.
+function isOptionalEnd(token, next, open) {
+    const name = nameOf(token);
+    if (["head", "body", "html"].includes(name))
+        return (
+            !next ||
+            (next.type !== "comment" &&
+                !(
+                    name === "head" &&
+                    next.type === "text" &&
+                    /^[ \t\n\f\r]/.test(next.value)
+                ))
+        );
+
+    const rule = OPTIONAL_END_TAGS[name];
+    if (!rule || !next) return false;
+    if (next.type === "start") return rule.before.includes(nameOf(next));
+    if (next.type !== "end" || !rule.parentEnd) return false;
+    return !(name === "p" && KEEPS_PARAGRAPH_END.has(open[open.length - 2]));
+}
+
+/**
+ * Minifies an HTML document: collapses whitespace where rendering ignores
+ * it, removes comments, optional quotes and optional end tags, and passes
+ * inline styles and scripts to `minifyCSS` and `minifyJS`. The contents of
+ * `<pre>`, `<textarea>` and attribute values are kept as they are, and
+ * inline code is trimmed so that its hash matches what browsers compute.
+ */
+function minifyHTML(
+    html,
+    { minifyCSS = (css) => css.trim(), minifyJS = (js) => js.trim() } = {}
+) {
+    const tokens = collapseWhitespace(removeComments(tokenize(html)));
+    const minifiers = { minifyCSS, minifyJS };
+
+    let output = "";
+    walk(tokens, (token, i, open) => {
+        if (token.type === "start") output += serializeStart(token, minifiers);
+        else if (token.type === "end") {
+            if (!isOptionalEnd(token, tokens[i + 1], open))
+                output += `</${token.name}>`;
+        } else output += token.value;
+    });
+    return output;
+}
+
+module.exports = { minifyHTML };
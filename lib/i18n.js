@@ -0,0 +1,134 @@
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Flattens a nested translation catalog into a Map of dotted keys. Leaves
+ * must be strings or lists of strings; anything else is reported.
+ */
+function flattenCatalog(catalog, prefix = "", keys = new Map(), problems = []) {
+    Object.entries(catalog).forEach(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value)) {
+            flattenCatalog(value, path, keys, problems);
+        } else if (
+            typeof value === "string" ||
+            (Array.isArray(value) &&
+                value.every((item) => typeof item === "string"))
+        ) {
+            keys.set(path, value);
+        } else {
+            problems.push(`${path}: expected a string or a list of strings`);
+        }
+    });
+    return { keys, problems };
+}
+
+function expandKeys(keys) {
+    const catalog = {};
+    keys.forEach((value, path) => {
+        const parts = path.split(".");
+        const last = parts.pop();
+        const parent = parts.reduce(
+            (node, part) => (node[part] = node[part] || {}),
+            catalog
+        );
+        parent[last] = value;
+    });
+    return catalog;
+}
+
+/**
+ * Merges a locale's flattened keys over the fallback ones. Returns the
+ * nested catalog along with the keys it had to borrow and the ones the
+ * fallback does not know about.
+ */
+function resolveCatalog(keys, fallbackKeys) {
+    const missing = Array.from(fallbackKeys.keys()).filter(
+        (key) => !keys.has(key)
+    );
+    const unknown = Array.from(keys.keys()).filter(
+        (key) => !fallbackKeys.has(key)
+    );
+    const merged = new Map(fallbackKeys);
+    keys.forEach((value, key) => {
+        if (fallbackKeys.has(key)) merged.set(key, value);
+    });
+    return { catalog: expandKeys(merged), missing, unknown };
+}
+
+/**
+ * Picks the `locale` variant of every field marked `localized` in `schema`,
+ * falling back to `fallback`. Plain strings are language-neutral and kept
+ * as is. The paths of missing variants are pushed to `missing`.
+ */
+function localize(value, schema, locale, fallback, missing = [], at = "") {
+    if (schema.localized && isPlainObject(value)) {
+        if (value[locale] !== undefined) return value[locale];
+        missing.push(at);
+        return value[fallback];
+    }
+
+    if (Array.isArray(value))
+        return value.map((item, i) =>
+            localize(
+                item,
+                schema.items || {},
+                locale,
+                fallback,
+                missing,
+                `${at}[${i}]`
+            )
+        );
+
+    if (isPlainObject(value))
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [
+                key,
+                localize(
+                    item,
+                    (schema.properties || {})[key] ||
+                        schema.additionalProperties ||
+                        {},
+                    locale,
+                    fallback,
+                    missing,
+                    at ? `${at}.${key}` : key
+                ),
+            ])
+        );
+
+    return value;
+}
+
+/**
+ * Picks the best of `available` locales for an Accept-Language header,
+ * matching exact tags first and then primary subtags (`en-GB` -> `en`).
+ */
+function negotiateLocale(header, available, fallback) {
+    const preferences = String(header || "")
+        .split(",")
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().toLowerCase().split(";");
+            const q = params
+                .map((param) => /^\s*q=([\d.]+)\s*$/.exec(param))
+                .find(Boolean);
+            return { tag, q: q ? Number(q[1]) : 1, index };
+        })
+        .filter(({ tag, q }) => tag && q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    for (const { tag } of preferences) {
+        if (tag === "*") return fallback;
+        const match =
+            available.find((locale) => locale.toLowerCase() === tag) ||
+            available.find(
+                (locale) =>
+                    locale.toLowerCase().split("-")[0] === tag.split("-")[0]
+            );
+        if (match) return match;
+    }
+    return fallback;
+}
+
+module.exports = { flattenCatalog, resolveCatalog, localize, negotiateLocale };
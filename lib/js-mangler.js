@@ -0,0 +1,920 @@
+const KEYWORDS = new Set([
+    "arguments",
+    "async",
+    "await",
+    "break",
+    "case",
+    "catch",
+    "class",
+    "const",
+    "continue",
+    "debugger",
+    "default",
+    "delete",
+    "do",
+    "else",
+    "enum",
+    "eval",
+    "export",
+    "extends",
+    "false",
+    "finally",
+    "for",
+    "function",
+    "get",
+    "if",
+    "implements",
+    "import",
+    "in",
+    "Infinity",
+    "instanceof",
+    "interface",
+    "let",
+    "NaN",
+    "new",
+    "null",
+    "of",
+    "package",
+    "private",
+    "protected",
+    "public",
+    "return",
+    "set",
+    "static",
+    "super",
+    "switch",
+    "this",
+    "throw",
+    "true",
+    "try",
+    "typeof",
+    "undefined",
+    "var",
+    "void",
+    "while",
+    "with",
+    "yield",
+]);
+
+// Keywords after which a "/" starts a regular expression, not a division.
+const REGEX_AFTER = new Set([
+    "case",
+    "delete",
+    "do",
+    "else",
+    "in",
+    "instanceof",
+    "new",
+    "of",
+    "return",
+    "throw",
+    "typeof",
+    "void",
+    "yield",
+    "await",
+]);
+
+// Keywords that always expect an operand, so a line ending with them never
+// ends a statement.
+const EXPECTS_OPERAND = new Set([
+    ...REGEX_AFTER,
+    "async",
+    "catch",
+    "class",
+    "const",
+    "export",
+    "extends",
+    "finally",
+    "for",
+    "function",
+    "if",
+    "import",
+    "let",
+    "switch",
+    "try",
+    "var",
+    "while",
+    "with",
+]);
+
+// Keywords whose statement ends at a line end, whatever follows it.
+const RESTRICTED = new Set([
+    "async",
+    "break",
+    "continue",
+    "return",
+    "throw",
+    "yield",
+]);
+
+const PUNCTUATORS = [
+    ">>>=",
+    "...",
+    "===",
+    "!==",
+    "**=",
+    "<<=",
+    ">>=",
+    ">>>",
+    "&&=",
+    "||=",
+    "??=",
+    "=>",
+    "==",
+    "!=",
+    "<=",
+    ">=",
+    "&&",
+    "||",
+    "??",
+    "?.",
+    "++",
+    "--",
+    "+=",
+    "-=",
+    "*=",
+    "/=",
+    "%=",
+    "&=",
+    "|=",
+    "^=",
+    "**",
+    "<<",
+    ">>",
+];
+
+const OPENERS = new Set(["(", "[", "{"]);
+const CLOSERS = new Set([")", "]", "}"]);
+
+const ID_START = /[\p{ID_Start}$_]/u;
+const ID_CONTINUE = /[\p{ID_Continue}$\u200c\u200d]/u;
+const NUMBER =
+    /(?:0[xXbBoO][\da-fA-F_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)n?/y;
+
+function location(src, offset) {
+    const lines = src.slice(0, offset).split("\n");
+    return `${lines.length}:${lines[lines.length - 1].length + 1}`;
+}
+
+function isSignificant(token) {
+    return token.type !== "whitespace" && token.type !== "comment";
+}
+
+function regexAllowed(prev) {
+    if (!prev) return true;
+    if (prev.type === "name") return REGEX_AFTER.has(prev.value);
+    if (prev.type === "punct")
+        return (
+            !CLOSERS.has(prev.value) &&
+            prev.value !== "++" &&
+            prev.value !== "--"
+        );
+    return prev.type === "templateHead" || prev.type === "templateMiddle";
+}
+
+function tokenize(src) {
+    const tokens = [];
+    const braces = [];
+    let prev = null;
+    let newline = false;
+    let i = 0;
+
+    const push = (type, end) => {
+        const token = {
+            type,
+            value: src.slice(i, end),
+            start: i,
+            end,
+            nlBefore: newline,
+        };
+        tokens.push(token);
+        if (isSignificant(token)) {
+            prev = token;
+            newline = false;
+        } else if (/[\n\r\u2028\u2029]/.test(token.value)) {
+            newline = true;
+        }
+        i = end;
+    };
+
+    const fail = (message, offset = i) => {
+        throw new SyntaxError(`${message} at ${location(src, offset)}`);
+    };
+
+    const readTemplate = (from) => {
+        let j = from;
+        while (j < src.length) {
+            if (src[j] === "\\") j += 2;
+            else if (src[j] === "`") return { end: j + 1, closed: true };
+            else if (src[j] === "$" && src[j + 1] === "{")
+                return { end: j + 2, closed: false };
+            else j++;
+        }
+        return fail("Unterminated template literal");
+    };
+
+    while (i < src.length) {
+        const c = src[i];
+
+        if (/\s/.test(c)) {
+            let j = i + 1;
+            while (j < src.length && /\s/.test(src[j])) j++;
+            push("whitespace", j);
+        } else if (c === "/" && src[i + 1] === "/") {
+            const j = src.indexOf("\n", i);
+            push("comment", j === -1 ? src.length : j);
+        } else if (c === "/" && src[i + 1] === "*") {
+            const j = src.indexOf("*/", i + 2);
+            if (j === -1) fail("Unterminated comment");
+            push("comment", j + 2);
+        } else if (c === "'" || c === '"') {
+            let j = i + 1;
+            while (j < src.length && src[j] !== c) {
+                if (src[j] === "\\") j++;
+                else if (src[j] === "\n") fail("Unterminated string");
+                j++;
+            }
+            if (j >= src.length) fail("Unterminated string");
+            push("string", j + 1);
+        } else if (c === "`") {
+            const { end, closed } = readTemplate(i + 1);
+            if (!closed) braces.push("template");
+            push(closed ? "template" : "templateHead", end);
+        } else if (c === "}" && braces[braces.length - 1] === "template") {
+            braces.pop();
+            const { end, closed } = readTemplate(i + 1);
+            if (!closed) braces.push("template");
+            push(closed ? "templateTail" : "templateMiddle", end);
+        } else if (ID_START.test(c) || c === "#" || c === "\\") {
+            let j = i + 1;
+            while (j < src.length && ID_CONTINUE.test(src[j])) j++;
+            push(c === "#" ? "private" : "name", j);
+        } else if (/\d/.test(c) || (c === "." && /\d/.test(src[i + 1]))) {
+            NUMBER.lastIndex = i;
+            NUMBER.test(src);
+            push("number", NUMBER.lastIndex);
+        } else if (c === "/" && regexAllowed(prev)) {
+            let j = i + 1;
+            let inClass = false;
+            while (j < src.length && (inClass || src[j] !== "/")) {
+                if (src[j] === "\n") fail("Unterminated regular expression");
+                if (src[j] === "\\") j++;
+                else if (src[j] === "[") inClass = true;
+                else if (src[j] === "]") inClass = false;
+                j++;
+            }
+            if (j >= src.length) fail("Unterminated regular expression");
+            j++;
+            while (j < src.length && ID_CONTINUE.test(src[j])) j++;
+            push("regex", j);
+        } else {
+            let punct = PUNCTUATORS.find((p) => src.startsWith(p, i)) || c;
+            if (punct === "?." && /\d/.test(src[i + 2])) punct = "?";
+            if (punct === "{") braces.push("brace");
+            if (punct === "}") braces.pop();
+            push("punct", i + punct.length);
+        }
+    }
+
+    return tokens;
+}
+
+// Whether a statement can end with `token`, so that a line end after it may
+// stand for a semicolon.
+function canEnd(token) {
+    if (token.type === "name")
+        return !EXPECTS_OPERAND.has(token.value) || RESTRICTED.has(token.value);
+    if (token.type === "punct")
+        return (
+            CLOSERS.has(token.value) ||
+            token.value === "++" ||
+            token.value === "--"
+        );
+    return token.type !== "templateHead" && token.type !== "templateMiddle";
+}
+
+// Whether `token` cannot continue the expression before it, so that a line
+// end before it ends the statement.
+function canStart(token) {
+    if (token.type === "punct")
+        return ["{", "!", "~", "++", "--"].includes(token.value);
+    return token.type !== "templateMiddle" && token.type !== "templateTail";
+}
+
+// Whether `left` and `right` written side by side would read as other tokens,
+// such as one name, "++", a comment or "<!--".
+function needsSpace(prev, left, right) {
+    const a = left[left.length - 1];
+    const b = right[0];
+    return (
+        (ID_CONTINUE.test(a) &&
+            (ID_CONTINUE.test(b) || b === "\\" || b === "#")) ||
+        (prev.type === "number" && b === ".") ||
+        ((a === "+" || a === "-") && b === a) ||
+        (a === "/" && (b === "/" || b === "*")) ||
+        (a === "<" && b === "!") ||
+        (a === "-" && b === ">")
+    );
+}
+
+// Joins significant tokens with the least whitespace keeping their meaning: a
+// line end where automatic semicolon insertion needs one, a space where two
+// tokens would run together. A semicolon before "}" is left out unless it is
+// an empty statement.
+function printCompact(tokens, text) {
+    let out = "";
+    let prev = null;
+
+    tokens.forEach((token, i) => {
+        const next = tokens[i + 1];
+        if (
+            token.value === ";" &&
+            next &&
+            next.value === "}" &&
+            prev &&
+            prev.value !== ")" &&
+            canEnd(prev)
+        )
+            return;
+
+        const value = text(token);
+        if (prev) {
+            if (
+                token.nlBefore &&
+                prev.type === "name" &&
+                RESTRICTED.has(prev.value)
+            )
+                out += "\n";
+            else if (token.nlBefore && canEnd(prev) && canStart(token))
+                out += "\n";
+            else if (needsSpace(prev, out, value)) out += " ";
+        }
+        out += value;
+        prev = token;
+    });
+
+    return out;
+}
+
+class Scope {
+    constructor(parent = null, isFunction = false) {
+        this.parent = parent;
+        this.isFunction = isFunction;
+        this.strict = !!parent && parent.strict;
+        this.bindings = new Map();
+    }
+
+    functionScope() {
+        let scope = this;
+        while (!scope.isFunction) scope = scope.parent;
+        return scope;
+    }
+
+    resolve(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            if (scope.bindings.has(name)) return scope.bindings.get(name);
+        }
+        return null;
+    }
+}
+
+class ScopeAnalyzer {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.sig = tokens.filter(isSignificant);
+        this.match = this.matchBrackets();
+        this.bindings = [];
+        this.occurrences = [];
+    }
+
+    matchBrackets() {
+        const match = new Array(this.sig.length);
+        const stack = [];
+
+        this.sig.forEach((token, i) => {
+            if (OPENERS.has(token.value) || token.type === "templateHead") {
+                stack.push(i);
+            } else if (
+                CLOSERS.has(token.value) ||
+                token.type === "templateTail"
+            ) {
+                const open = stack.pop();
+                if (open === undefined) return;
+                match[open] = i;
+                match[i] = open;
+            }
+        });
+
+        return match;
+    }
+
+    analyze() {
+        this.walkBody(0, this.sig.length, new Scope(null, true));
+        return this;
+    }
+
+    // Walks the body of a script or function, strict from a "use strict"
+    // directive at its start on.
+    walkBody(start, end, scope) {
+        for (let i = start; i < end && this.sig[i].type === "string"; i++) {
+            if (this.sig[i].value.slice(1, -1) === "use strict")
+                scope.strict = true;
+            if (this.is(i + 1, ";")) i++;
+            else if (i + 1 < end && !this.sig[i + 1].nlBefore) break;
+        }
+        this.walk(start, end, scope);
+    }
+
+    declare(token, scope, shorthand = false) {
+        if (KEYWORDS.has(token.value)) return;
+        let binding = scope.bindings.get(token.value);
+        if (!binding) {
+            binding = { name: token.value, renamed: null };
+            scope.bindings.set(token.value, binding);
+            this.bindings.push(binding);
+        }
+        this.occurrences.push({ token, binding, shorthand });
+    }
+
+    reference(token, scope, shorthand = false) {
+        this.occurrences.push({ token, scope, shorthand });
+    }
+
+    is(i, value) {
+        return i >= 0 && i < this.sig.length && this.sig[i].value === value;
+    }
+
+    endsExpression(token) {
+        if (token.type === "name") return !EXPECTS_OPERAND.has(token.value);
+        if (token.type === "punct")
+            return CLOSERS.has(token.value) || /^(\+\+|--)$/.test(token.value);
+        return token.type !== "templateHead" && token.type !== "templateMiddle";
+    }
+
+    startsStatement(token) {
+        if (token.type === "name")
+            return !/^(in|instanceof|of)$/.test(token.value);
+        if (token.type === "punct")
+            return /^(\{|\+\+|--|!|~)$/.test(token.value);
+        return token.type !== "template" && token.type !== "templateHead";
+    }
+
+    isAsiBreak(i) {
+        return (
+            this.sig[i].nlBefore &&
+            this.endsExpression(this.sig[i - 1]) &&
+            this.startsStatement(this.sig[i])
+        );
+    }
+
+    isStatementStart(i) {
+        const prev = this.sig[i - 1];
+        if (!prev) return true;
+        if (prev.type === "name")
+            return /^(else|do|default)$/.test(prev.value) || this.isAsiBreak(i);
+        return /^[;{}]$/.test(prev.value) || this.isAsiBreak(i);
+    }
+
+    isBlockStart(i) {
+        const prev = this.sig[i - 1];
+        if (!prev) return true;
+        if (prev.type === "name")
+            return /^(else|do|try|finally)$/.test(prev.value);
+        return /^[;{})]$/.test(prev.value);
+    }
+
+    splitList(start, end) {
+        const items = [];
+        let from = start;
+        for (let i = start; i < end; i++) {
+            if (this.match[i] > i) i = this.match[i];
+            else if (this.sig[i].value === ",") {
+                items.push([from, i]);
+                from = i + 1;
+            }
+        }
+        if (from < end) items.push([from, end]);
+        return items;
+    }
+
+    expressionEnd(start, end) {
+        let ternaries = 0;
+        for (let i = start; i < end; i++) {
+            const { value, type } = this.sig[i];
+            if (i > start && this.isAsiBreak(i)) return i;
+            if (this.match[i] > i) i = this.match[i];
+            else if (value === "?") ternaries++;
+            else if (value === ":" && ternaries-- === 0) return i;
+            else if (value === "," || value === ";" || CLOSERS.has(value))
+                return i;
+            else if (type === "templateMiddle" || type === "templateTail")
+                return i;
+        }
+        return end;
+    }
+
+    statementEnd(start, end) {
+        const token = this.sig[start];
+        if (!token || start >= end) return start;
+        if (token.value === "{") return this.match[start] + 1;
+        if (token.value === ";") return start + 1;
+
+        if (token.type === "name") {
+            switch (token.value) {
+                case "if": {
+                    let i = this.statementEnd(this.match[start + 1] + 1, end);
+                    if (this.is(i, "else")) i = this.statementEnd(i + 1, end);
+                    return i;
+                }
+                case "for":
+                case "while":
+                case "with": {
+                    const open = this.is(start + 1, "await")
+                        ? start + 2
+                        : start + 1;
+                    return this.statementEnd(this.match[open] + 1, end);
+                }
+                case "do": {
+                    let i = this.statementEnd(start + 1, end);
+                    i = this.match[i + 1] + 1;
+                    return this.is(i, ";") ? i + 1 : i;
+                }
+                case "try": {
+                    let i = this.match[start + 1] + 1;
+                    if (this.is(i, "catch")) {
+                        i++;
+                        if (this.is(i, "(")) i = this.match[i] + 1;
+                        i = this.match[i] + 1;
+                    }
+                    if (this.is(i, "finally")) i = this.match[i + 1] + 1;
+                    return i;
+                }
+                case "function":
+                case "class": {
+                    let i = start + 1;
+                    while (i < end && !this.is(i, "{"))
+                        i = this.match[i] > i ? this.match[i] + 1 : i + 1;
+                    return this.match[i] + 1;
+                }
+            }
+            if (this.is(start + 1, ":") && this.isStatementStart(start))
+                return this.statementEnd(start + 2, end);
+        }
+
+        for (let i = start; i < end; i++) {
+            if (i > start && this.isAsiBreak(i)) return i;
+            if (this.match[i] > i) i = this.match[i];
+            else if (this.sig[i].value === ";") return i + 1;
+            else if (CLOSERS.has(this.sig[i].value)) return i;
+        }
+        return end;
+    }
+
+    walk(start, end, scope) {
+        let i = start;
+        while (i < end) i = this.step(i, end, scope);
+    }
+
+    step(i, end, scope) {
+        const token = this.sig[i];
+        const prev = this.sig[i - 1];
+
+        if (token.type === "name") {
+            if (prev && (prev.value === "." || prev.value === "?."))
+                return i + 1;
+
+            switch (token.value) {
+                case "function":
+                    return this.parseFunction(i, scope);
+                case "class":
+                    return this.parseClass(i, scope);
+                case "var":
+                case "let":
+                case "const":
+                    return this.parseDeclaration(i, end, scope);
+                case "catch":
+                    return this.parseCatch(i, scope);
+                case "for":
+                    return this.parseFor(i, end, scope);
+                case "break":
+                case "continue":
+                    return this.sig[i + 1] &&
+                        this.sig[i + 1].type === "name" &&
+                        !this.sig[i + 1].nlBefore
+                        ? i + 2
+                        : i + 1;
+            }
+
+            if (KEYWORDS.has(token.value)) return i + 1;
+            if (this.is(i + 1, "=>"))
+                return this.parseArrow(i, i + 1, false, end, scope);
+            if (this.is(i + 1, ":") && this.isStatementStart(i)) return i + 2;
+
+            this.reference(token, scope);
+            return i + 1;
+        }
+
+        if (token.value === "(" && this.is(this.match[i] + 1, "=>"))
+            return this.parseArrow(i + 1, this.match[i], true, end, scope);
+
+        if (token.value === "{") {
+            const close = this.match[i];
+            if (this.isBlockStart(i)) this.walk(i + 1, close, new Scope(scope));
+            else this.parseObject(i + 1, close, scope);
+            return close + 1;
+        }
+
+        return i + 1;
+    }
+
+    parseFunctionBody(paramsOpen, scope) {
+        const params = new Scope(scope, true);
+        const paramsClose = this.match[paramsOpen];
+        this.parsePattern(paramsOpen + 1, paramsClose, false, params, params);
+        const body = paramsClose + 1;
+        this.walkBody(body + 1, this.match[body], params);
+        return this.match[body] + 1;
+    }
+
+    parseFunction(i, scope) {
+        const isDeclaration = this.isStatementStart(
+            this.is(i - 1, "async") ? i - 1 : i
+        );
+        let j = this.is(i + 1, "*") ? i + 2 : i + 1;
+        const inner = new Scope(scope, true);
+
+        // Sloppy code also binds a function declared in a block in the
+        // enclosing function (Annex B), where it can be called after the
+        // block: both names share one binding.
+        const name = this.sig[j];
+        if (name.type === "name") {
+            if (!isDeclaration) {
+                this.declare(name, inner);
+            } else if (scope.strict || scope.isFunction) {
+                this.declare(name, scope);
+            } else {
+                const hoisted = scope.functionScope();
+                this.declare(name, hoisted);
+                if (hoisted.bindings.has(name.value))
+                    scope.bindings.set(
+                        name.value,
+                        hoisted.bindings.get(name.value)
+                    );
+            }
+            j++;
+        }
+
+        return this.parseFunctionBody(j, inner);
+    }
+
+    parseClass(i, scope) {
+        const inner = new Scope(scope);
+        inner.strict = true;
+        let j = i + 1;
+
+        if (this.sig[j].type === "name" && this.sig[j].value !== "extends") {
+            this.declare(this.sig[j], this.isStatementStart(i) ? scope : inner);
+            j++;
+        }
+
+        if (this.is(j, "extends")) {
+            let body = j + 1;
+            while (!this.is(body, "{"))
+                body =
+                    this.match[body] > body ? this.match[body] + 1 : body + 1;
+            this.walk(j + 1, body, scope);
+            j = body;
+        }
+
+        this.parseClassBody(j + 1, this.match[j], inner);
+        return this.match[j] + 1;
+    }
+
+    parseClassBody(start, end, scope) {
+        let i = start;
+
+        while (i < end) {
+            if (this.is(i, ";")) {
+                i++;
+                continue;
+            }
+            if (this.is(i, "static") && this.is(i + 1, "{")) {
+                this.walk(i + 2, this.match[i + 1], new Scope(scope, true));
+                i = this.match[i + 1] + 1;
+                continue;
+            }
+            while (
+                i + 1 < end &&
+                /^(static|get|set|async|\*)$/.test(this.sig[i].value) &&
+                !/^[(=;}]$/.test(this.sig[i + 1].value)
+            )
+                i++;
+
+            if (this.is(i, "[")) {
+                this.walk(i + 1, this.match[i], scope);
+                i = this.match[i];
+            }
+            i++;
+
+            if (this.is(i, "(")) {
+                i = this.parseFunctionBody(i, scope);
+            } else if (this.is(i, "=")) {
+                const init = this.expressionEnd(i + 1, end);
+                this.walk(i + 1, init, new Scope(scope, true));
+                i = init;
+            }
+        }
+    }
+
+    parseObject(start, end, scope) {
+        this.splitList(start, end).forEach(([from, to]) => {
+            let i = from;
+
+            if (this.is(i, "...")) return this.walk(i + 1, to, scope);
+            if (
+                /^(get|set|async)$/.test(this.sig[i].value) &&
+                i + 1 < to &&
+                !/^[:(=]$/.test(this.sig[i + 1].value)
+            )
+                i++;
+            if (this.is(i, "*")) i++;
+
+            const key = this.sig[i];
+            if (key.value === "[") {
+                this.walk(i + 1, this.match[i], scope);
+                i = this.match[i];
+            }
+            i++;
+
+            if (this.is(i, ":")) {
+                this.walk(i + 1, to, scope);
+            } else if (this.is(i, "(")) {
+                this.parseFunctionBody(i, scope);
+            } else if (key.type === "name") {
+                if (!KEYWORDS.has(key.value)) this.reference(key, scope, true);
+                if (this.is(i, "=")) this.walk(i + 1, to, scope);
+            }
+        });
+    }
+
+    parsePattern(start, end, isObject, declScope, exprScope) {
+        this.splitList(start, end).forEach(([from, to]) => {
+            let i = from;
+            const rest = this.is(i, "...");
+            if (rest) i++;
+
+            if (isObject && !rest) {
+                if (this.is(i, "[")) {
+                    this.walk(i + 1, this.match[i], exprScope);
+                    i = this.match[i] + 2;
+                } else if (this.is(i + 1, ":")) {
+                    i += 2;
+                } else {
+                    this.declare(this.sig[i], declScope, true);
+                    if (this.is(i + 1, "=")) this.walk(i + 2, to, exprScope);
+                    return;
+                }
+            }
+
+            const target = this.sig[i];
+            if (target.value === "{" || target.value === "[") {
+                this.parsePattern(
+                    i + 1,
+                    this.match[i],
+                    target.value === "{",
+                    declScope,
+                    exprScope
+                );
+                i = this.match[i] + 1;
+            } else {
+                this.declare(target, declScope);
+                i++;
+            }
+
+            if (this.is(i, "=")) this.walk(i + 1, to, exprScope);
+        });
+    }
+
+    parseDeclaration(i, end, scope) {
+        const target =
+            this.sig[i].value === "var" ? scope.functionScope() : scope;
+        let j = i + 1;
+
+        for (;;) {
+            const token = this.sig[j];
+            if (!token) return j;
+            if (token.value === "{" || token.value === "[") {
+                const close = this.match[j];
+                this.parsePattern(
+                    j + 1,
+                    close,
+                    token.value === "{",
+                    target,
+                    scope
+                );
+                j = close + 1;
+            } else if (token.type === "name") {
+                this.declare(token, target);
+                j++;
+            } else {
+                return j;
+            }
+
+            if (this.is(j, "=")) {
+                const init = this.expressionEnd(j + 1, end);
+                this.walk(j + 1, init, scope);
+                j = init;
+            }
+            if (!this.is(j, ",")) return j;
+            j++;
+        }
+    }
+
+    parseArrow(paramStart, paramEnd, parenthesized, end, scope) {
+        const fn = new Scope(scope, true);
+
+        if (parenthesized)
+            this.parsePattern(paramStart, paramEnd, false, fn, fn);
+        else this.declare(this.sig[paramStart], fn);
+
+        const body = parenthesized ? paramEnd + 2 : paramEnd + 1;
+        if (this.is(body, "{")) {
+            this.walkBody(body + 1, this.match[body], fn);
+            return this.match[body] + 1;
+        }
+
+        const bodyEnd = this.expressionEnd(body, end);
+        this.walk(body, bodyEnd, fn);
+        return bodyEnd;
+    }
+
+    parseCatch(i, scope) {
+        const inner = new Scope(scope);
+        let body = i + 1;
+
+        if (this.is(body, "(")) {
+            this.parsePattern(body + 1, this.match[body], false, inner, inner);
+            body = this.match[body] + 1;
+        }
+
+        this.walk(body + 1, this.match[body], inner);
+        return this.match[body] + 1;
+    }
+
+    parseFor(i, end, scope) {
+        const loop = new Scope(scope);
+        const head = this.is(i + 1, "await") ? i + 2 : i + 1;
+        const body = this.match[head] + 1;
+        const bodyEnd = this.statementEnd(body, end);
+
+        this.walk(head + 1, this.match[head], loop);
+        this.walk(body, bodyEnd, loop);
+        return bodyEnd;
+    }
+}
+
+/**
+ * Renames every local binding of `src` (declarations, parameters, catch
+ * bindings) while leaving property names, object keys and globals untouched.
+ * `generateName(index)` provides the candidate names; candidates listed in
+ * `reserved` or colliding with a global used by the script are skipped.
+ * With `compact`, comments and needless whitespace are left out as well.
+ */
+function mangle(src, { generateName, reserved = new Set(), compact = false }) {
+    const tokens = tokenize(src);
+    const analyzer = new ScopeAnalyzer(tokens).analyze();
+    const globals = new Set();
+
+    analyzer.occurrences.forEach((occurrence) => {
+        if (!occurrence.binding)
+            occurrence.binding = occurrence.scope.resolve(
+                occurrence.token.value
+            );
+        if (!occurrence.binding) globals.add(occurrence.token.value);
+    });
+
+    let index = 0;
+    analyzer.bindings.forEach((binding) => {
+        let name;
+        do name = generateName(index++);
+        while (KEYWORDS.has(name) || reserved.has(name) || globals.has(name));
+        binding.renamed = name;
+    });
+
+    const replacements = new Map();
+    analyzer.occurrences.forEach(({ token, binding, shorthand }) => {
+        if (!binding) return;
+        replacements.set(
+            token,
+            shorthand ? `${token.value}:${binding.renamed}` : binding.renamed
+        );
+    });
+
+    const text = (token) =>
+        replacements.has(token) ? replacements.get(token) : token.value;
+    return compact
+        ? printCompact(analyzer.sig, text)
+        : tokens.map(text).join("");
+}
+
+module.exports = { tokenize, mangle };
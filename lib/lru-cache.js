@@ -0,0 +1,48 @@
+class LRUCache {
+    constructor({ maxSize = Infinity, sizeOf = () => 1 } = {}) {
+        this.maxSize = maxSize;
+        this.sizeOf = sizeOf;
+        this.size = 0;
+        this.map = new Map();
+    }
+
+    get(key) {
+        const item = this.map.get(key);
+        if (!item) return undefined;
+        this.map.delete(key);
+        this.map.set(key, item);
+        return item.value;
+    }
+
+    set(key, value) {
+        this.delete(key);
+
+        const size = this.sizeOf(value);
+        if (size > this.maxSize) return this;
+
+        this.map.set(key, { value, size });
+        this.size += size;
+
+        for (const [oldest, item] of this.map) {
+            if (this.size <= this.maxSize) break;
+            this.map.delete(oldest);
+            this.size -= item.size;
+        }
+        return this;
+    }
+
+    delete(key) {
+        const item = this.map.get(key);
+        if (!item) return false;
+        this.map.delete(key);
+        this.size -= item.size;
+        return true;
+    }
+
+    clear() {
+        this.map.clear();
+        this.size = 0;
+    }
+}
+
+module.exports = { LRUCache };
@@ -0,0 +1,248 @@
+const fs = require("fs");
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+// RFC 2047 encoded words are limited to 75 characters, so non-ASCII values
+// are split on character boundaries into several of them.
+function encodeHeader(value) {
+    if (/^[\x20-\x7e]*$/.test(value)) return value;
+
+    const words = [];
+    let chunk = "";
+    for (const char of value) {
+        if (Buffer.byteLength(chunk + char) > 45) {
+            words.push(chunk);
+            chunk = "";
+        }
+        chunk += char;
+    }
+    words.push(chunk);
+    return words
+        .map((word) => `=?UTF-8?B?${Buffer.from(word).toString("base64")}?=`)
+        .join("\r\n ");
+}
+
+function formatMail({ from, to, replyTo, subject, text, date = new Date() }) {
+    const domain = from.split("@").pop();
+    const headers = [
+        `From: ${from}`,
+        `To: ${to}`,
+        replyTo && `Reply-To: ${replyTo}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${date.toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        "MIME-Version: 1.0",
+        "Content-Type: text/plain; charset=utf-8",
+        "Content-Transfer-Encoding: base64",
+    ].filter(Boolean);
+    const body = Buffer.from(text, "utf8")
+        .toString("base64")
+        .replace(/.{1,76}/g, "$&\r\n");
+
+    return `${headers.join("\r\n")}\r\n\r\n${body}`;
+}
+
+class OutboxTransport {
+    constructor({ file }) {
+        this.file = file;
+    }
+
+    async send(message) {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.appendFile(this.file, JSON.stringify(message) + "\n");
+    }
+}
+
+// Reads SMTP replies, including multi-line ones ("250-..." up to "250 ...").
+class SMTPConnection {
+    constructor(socket, timeout) {
+        this.timeout = timeout;
+        this.buffer = "";
+        this.lines = [];
+        this.replies = [];
+        this.waiting = [];
+        this.error = null;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        if (this.socket) this.socket.removeAllListeners("data");
+        this.socket = socket;
+        socket.setTimeout(this.timeout, () =>
+            socket.destroy(new Error("SMTP connection timed out"))
+        );
+        socket.on("data", (chunk) => {
+            this.buffer += chunk.toString("utf8");
+            this.parse();
+        });
+        socket.on("error", (error) => this.fail(error));
+        socket.on("close", () =>
+            this.fail(new Error("SMTP connection closed"))
+        );
+    }
+
+    parse() {
+        let index;
+        while ((index = this.buffer.indexOf("\n")) !== -1) {
+            const line = this.buffer.slice(0, index).replace(/\r$/, "");
+            this.buffer = this.buffer.slice(index + 1);
+            this.lines.push(line.slice(4));
+            if (line[3] === "-") continue;
+
+            this.replies.push({
+                code: Number(line.slice(0, 3)),
+                lines: this.lines,
+            });
+            this.lines = [];
+        }
+        this.drain();
+    }
+
+    drain() {
+        while (this.replies.length && this.waiting.length)
+            this.waiting.shift().resolve(this.replies.shift());
+        if (this.error)
+            while (this.waiting.length) this.waiting.shift().reject(this.error);
+    }
+
+    fail(error) {
+        this.error = this.error || error;
+        this.drain();
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            this.waiting.push({ resolve, reject });
+            this.drain();
+        });
+    }
+
+    // Errors name the verb only so that credentials never end up in logs.
+    async command(line, expected) {
+        if (line !== null) this.socket.write(`${line}\r\n`);
+        const reply = await this.read();
+        if (!expected.includes(reply.code))
+            throw new Error(
+                `SMTP ${
+                    line === null ? "greeting" : line.split(" ")[0]
+                } failed: ${reply.code} ${reply.lines.join(" ")}`
+            );
+        return reply;
+    }
+}
+
+class SMTPTransport {
+    constructor({
+        host,
+        port = 587,
+        secure = false,
+        user,
+        pass,
+        from,
+        to,
+        name = os.hostname(),
+        timeout = 10000,
+    }) {
+        Object.assign(this, { host, port, secure, user, pass, from, to, name });
+        this.timeout = timeout;
+    }
+
+    // Opens the connection, or upgrades `socket` to TLS after STARTTLS.
+    connect(socket) {
+        return new Promise((resolve, reject) => {
+            const secure = !!socket || this.secure;
+            const options = socket
+                ? { socket }
+                : { host: this.host, port: this.port };
+            const connection = secure
+                ? tls.connect({ ...options, servername: this.host })
+                : net.connect(options);
+
+            connection.once(secure ? "secureConnect" : "connect", () => {
+                connection.removeListener("error", reject);
+                resolve(connection);
+            });
+            connection.once("error", reject);
+        });
+    }
+
+    async send(message) {
+        const connection = new SMTPConnection(
+            await this.connect(),
+            this.timeout
+        );
+
+        try {
+            await connection.command(null, [220]);
+            const hello = await connection.command(`EHLO ${this.name}`, [250]);
+            let encrypted = this.secure;
+
+            if (
+                !encrypted &&
+                hello.lines.some((line) => /^STARTTLS\b/i.test(line))
+            ) {
+                await connection.command("STARTTLS", [220]);
+                connection.attach(await this.connect(connection.socket));
+                await connection.command(`EHLO ${this.name}`, [250]);
+                encrypted = true;
+            }
+
+            if (this.user) {
+                if (!encrypted)
+                    throw new Error(
+                        "SMTP server does not offer TLS, refusing to send credentials"
+                    );
+                const token = Buffer.from(
+                    `\0${this.user}\0${this.pass || ""}`
+                ).toString("base64");
+                await connection.command(`AUTH PLAIN ${token}`, [235]);
+            }
+
+            await connection.command(`MAIL FROM:<${this.from}>`, [250]);
+            await connection.command(`RCPT TO:<${this.to}>`, [250, 251]);
+            await connection.command("DATA", [354]);
+            await connection.command(
+                `${formatMail({
+                    from: this.from,
+                    to: this.to,
+                    replyTo: message.email,
+                    subject: `Contact: ${message.name}`,
+                    text: message.message,
+                    date: new Date(message.date),
+                })}.`,
+                [250]
+            );
+            await connection.command("QUIT", [221]);
+        } finally {
+            connection.socket.end();
+        }
+    }
+}
+
+/**
+ * Creates the transport delivering contact messages: `outbox` appends them
+ * to a JSONL file, `smtp` mails them to `to`.
+ */
+function createTransport({ type = "outbox", ...options }) {
+    if (type === "outbox") return new OutboxTransport(options);
+    if (type === "smtp") {
+        const missing = ["host", "from", "to"].filter((key) => !options[key]);
+        if (missing.length)
+            throw new Error(
+                `SMTP transport needs ${missing.join(", ")} to be configured`
+            );
+        return new SMTPTransport(options);
+    }
+    throw new Error(`Unknown mail transport "${type}"`);
+}
+
+module.exports = {
+    OutboxTransport,
+    SMTPTransport,
+    createTransport,
+    encodeHeader,
+    formatMail,
+};
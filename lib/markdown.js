@@ -0,0 +1,305 @@
+const { escapeHTML } = require("./template");
+
+const SAFE_SCHEMES = ["http", "https", "mailto"];
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(?: +|$)/;
+
+// The id of a heading or tag: "Écrire du CSS" is "ecrire-du-css".
+function slugify(text) {
+    return text
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "");
+}
+
+function parseValue(raw, where) {
+    const value = raw.trim();
+    if (value === "true" || value === "false") return value === "true";
+    if (value.startsWith('"')) {
+        try {
+            return JSON.parse(value);
+        } catch {
+            throw new SyntaxError(`${where}: invalid quoted string`);
+        }
+    }
+    if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+    if (/^\[.*\]$/.test(value))
+        return value
+            .slice(1, -1)
+            .split(",")
+            .map((item) => item.trim())
+            .filter(Boolean)
+            .map((item) => parseValue(item, where));
+    return value;
+}
+
+/**
+ * Splits a document starting with `---` front matter into its fields and
+ * its body. Fields are `key: value` lines, where a value is a string,
+ * optionally quoted, `true`, `false` or a `[a, b]` list; a key with no
+ * value takes the `- item` lines below it as a list.
+ */
+function parseFrontMatter(text) {
+    const lines = text.replace(/^\ufeff/, "").split(/\r?\n/);
+    if (lines[0].trim() !== "---") return { data: {}, body: text };
+
+    const end = lines.findIndex((line, i) => i > 0 && line.trim() === "---");
+    if (end === -1) throw new SyntaxError("front matter is not closed");
+
+    const data = {};
+    let list = null;
+    lines.slice(1, end).forEach((line, i) => {
+        const where = `front matter line ${i + 2}`;
+        if (!line.trim() || line.trim().startsWith("#")) return;
+        const item = /^\s+-\s+(.*)$/.exec(line);
+        if (item && list) return list.push(parseValue(item[1], where));
+
+        const field = /^([A-Za-z_][\w-]*)\s*:(.*)$/.exec(line);
+        if (!field) throw new SyntaxError(`${where}: expected "key: value"`);
+        if (field[2].trim()) {
+            data[field[1]] = parseValue(field[2], where);
+            list = null;
+        } else {
+            list = data[field[1]] = [];
+        }
+    });
+    return { data, body: lines.slice(end + 1).join("\n") };
+}
+
+// Links to other schemes, javascript: among them, are rendered as text.
+function safeURL(url) {
+    if (/[\0-\x1f]/.test(url)) return null;
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+    return !scheme || SAFE_SCHEMES.includes(scheme[1].toLowerCase())
+        ? url
+        : null;
+}
+
+const INLINE = [
+    // Escaped punctuation
+    [/^\\([!-/:-@[-`{-~])/, ([, char]) => escapeHTML(char)],
+    // Hard line break
+    [/^(?: {2,}|\\)\n/, () => "<br>\n"],
+    [
+        /^(`+)(?!`)([\s\S]*?[^`])\1(?!`)/,
+        ([, , code]) =>
+            `<code>${escapeHTML(code.replace(/\n/g, " ").trim())}</code>`,
+    ],
+    [
+        /^!\[([^\]]*)\]\(\s*((?:[^\s()]|\([^\s()]*\))+)(?:\s+"([^"]*)")?\s*\)/,
+        ([, alt, src, title]) => {
+            const url = safeURL(src);
+            if (!url) return escapeHTML(alt);
+            return `<img src="${escapeHTML(url)}" alt="${escapeHTML(alt)}"${
+                title ? ` title="${escapeHTML(title)}"` : ""
+            } loading="lazy">`;
+        },
+    ],
+    [
+        /^\[((?:\\.|[^\]\\])+)\]\(\s*((?:[^\s()]|\([^\s()]*\))+)(?:\s+"([^"]*)")?\s*\)/,
+        ([, label, href, title]) => {
+            const url = safeURL(href);
+            if (!url) return renderInline(label);
+            return `<a href="${escapeHTML(url)}"${
+                title ? ` title="${escapeHTML(title)}"` : ""
+            }>${renderInline(label)}</a>`;
+        },
+    ],
+    [
+        /^<((?:https?:\/\/|mailto:)[^\s<>]+)>/i,
+        ([, url]) =>
+            `<a href="${escapeHTML(url)}">${escapeHTML(
+                url.replace(/^mailto:/i, "")
+            )}</a>`,
+    ],
+    [
+        /^([*_])\1(?=\S)([\s\S]*?\S)\1\1(?!\1)/,
+        ([, , text]) => `<strong>${renderInline(text)}</strong>`,
+    ],
+    [
+        /^([*_])(?=[^\s*_])((?:\*\*[\s\S]+?\*\*|__[\s\S]+?__|(?!\1)[\s\S])+?)(?<=\S)\1(?![*_])(?!(?<=_)\w)/,
+        ([, , text]) => `<em>${renderInline(text)}</em>`,
+    ],
+];
+
+/**
+ * Renders the inline syntax of a paragraph: emphasis, code spans, links,
+ * images, autolinks, backslash escapes and hard line breaks. Everything
+ * else, HTML included, is text.
+ */
+function renderInline(text) {
+    let html = "";
+    let i = 0;
+    while (i < text.length) {
+        const rest = text.slice(i);
+        // `_` inside a word, as in snake_case, is not emphasis.
+        const inWord = rest[0] === "_" && /\w/.test(text[i - 1] || "");
+        const rule =
+            !inWord &&
+            INLINE.map(([pattern, render]) => [
+                pattern.exec(rest),
+                render,
+            ]).find(([match]) => match);
+        if (rule) {
+            html += rule[1](rule[0]);
+            i += rule[0][0].length;
+            continue;
+        }
+        const plain = /^[^\\`![<*_ ]+/.exec(rest.slice(1));
+        const length = 1 + (plain ? plain[0].length : 0);
+        html += escapeHTML(text.slice(i, i + length));
+        i += length;
+    }
+    return html;
+}
+
+const indentOf = (line) => /^ */.exec(line)[0].length;
+const isBlank = (line) => !line.trim();
+const startsBlock = (line) =>
+    [FENCE, HEADING, RULE, QUOTE, LIST_ITEM].some((pattern) =>
+        pattern.test(line)
+    );
+const isOrdered = (marker) => /\d/.test(marker);
+
+// Lines of the list starting at `state.i`, as the lines of each item.
+function readList(lines, state) {
+    const ordered = isOrdered(LIST_ITEM.exec(lines[state.i])[2]);
+    const items = [];
+    let loose = false;
+
+    while (state.i < lines.length) {
+        const match = LIST_ITEM.exec(lines[state.i]);
+        if (!match || isOrdered(match[2]) !== ordered) break;
+        const width = Math.max(
+            match[0].length,
+            match[1].length + match[2].length + 1
+        );
+        const body = [lines[state.i].slice(width)];
+        state.i++;
+
+        while (state.i < lines.length) {
+            const line = lines[state.i];
+            if (isBlank(line)) {
+                const next = lines.slice(state.i).findIndex((l) => !isBlank(l));
+                if (next === -1 || indentOf(lines[state.i + next]) < width)
+                    break;
+                loose = true;
+                body.push("");
+            } else if (indentOf(line) >= width) {
+                body.push(line.slice(width));
+            } else if (!startsBlock(line) && !isBlank(body[body.length - 1])) {
+                body.push(line);
+            } else break;
+            state.i++;
+        }
+        items.push(body);
+
+        let next = state.i;
+        while (next < lines.length && isBlank(lines[next])) next++;
+        const following = LIST_ITEM.exec(lines[next] || "");
+        if (
+            next > state.i &&
+            following &&
+            isOrdered(following[2]) === ordered
+        ) {
+            loose = true;
+            state.i = next;
+        }
+    }
+
+    return { ordered, items, loose };
+}
+
+// `ids` holds the heading ids given so far, to keep them unique.
+function renderBlocks(lines, ids, tight = false) {
+    const blocks = [];
+    const state = { i: 0 };
+
+    while (state.i < lines.length) {
+        const line = lines[state.i];
+        let match;
+
+        if (isBlank(line)) {
+            state.i++;
+        } else if ((match = FENCE.exec(line))) {
+            const [, fence, lang] = match;
+            const closing = new RegExp(
+                `^ {0,3}${fence[0]}{${fence.length},}\\s*$`
+            );
+            const code = [];
+            state.i++;
+            while (state.i < lines.length && !closing.test(lines[state.i]))
+                code.push(lines[state.i++]);
+            state.i++;
+            blocks.push(
+                `<pre><code${
+                    lang ? ` class="language-${escapeHTML(lang)}"` : ""
+                }>${escapeHTML(code.join("\n"))}</code></pre>`
+            );
+        } else if ((match = HEADING.exec(line))) {
+            const level = match[1].length;
+            const text = match[2] || "";
+            let id = slugify(text) || "section";
+            for (let n = 2; ids.has(id); n++)
+                id = `${slugify(text) || "section"}-${n}`;
+            ids.add(id);
+            blocks.push(
+                `<h${level} id="${id}">${renderInline(text)}</h${level}>`
+            );
+            state.i++;
+        } else if (RULE.test(line)) {
+            blocks.push("<hr>");
+            state.i++;
+        } else if (QUOTE.test(line)) {
+            const quoted = [];
+            while (state.i < lines.length && QUOTE.test(lines[state.i]))
+                quoted.push(lines[state.i++].replace(QUOTE, ""));
+            blocks.push(
+                `<blockquote>\n${renderBlocks(quoted, ids)}\n</blockquote>`
+            );
+        } else if (LIST_ITEM.test(line)) {
+            const first = LIST_ITEM.exec(line)[2];
+            const { ordered, items, loose } = readList(lines, state);
+            const start = ordered ? parseInt(first, 10) : 1;
+            const tag = ordered ? "ol" : "ul";
+            blocks.push(
+                `<${tag}${start !== 1 ? ` start="${start}"` : ""}>\n${items
+                    .map(
+                        (item) => `<li>${renderBlocks(item, ids, !loose)}</li>`
+                    )
+                    .join("\n")}\n</${tag}>`
+            );
+        } else {
+            const paragraph = [line.replace(/^\s+/, "")];
+            state.i++;
+            while (
+                state.i < lines.length &&
+                !isBlank(lines[state.i]) &&
+                !startsBlock(lines[state.i])
+            )
+                paragraph.push(lines[state.i++].replace(/^\s+/, ""));
+            const html = renderInline(paragraph.join("\n").replace(/\s+$/, ""));
+            blocks.push(tight ? html : `<p>${html}</p>`);
+        }
+    }
+    return blocks.join("\n");
+}
+
+/**
+ * Renders a safe subset of Markdown: paragraphs, `#` headings with ids,
+ * fenced code, quotes, nested lists, rules and the inline syntax of
+ * renderInline. Raw HTML is escaped and links to schemes other than
+ * http(s) and mailto are dropped, so that nothing a post contains can run
+ * scripts.
+ */
+function renderMarkdown(text) {
+    const lines = text.replace(/\t/g, "    ").split(/\r?\n/);
+    return renderBlocks(lines, new Set());
+}
+
+module.exports = { parseFrontMatter, renderMarkdown };
@@ -0,0 +1,248 @@
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5];
+
+function escapeLabel(value) {
+    return String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(
+        ([key, value]) => `${key}="${escapeLabel(value)}"`
+    );
+    return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+// One value per distinct label set, keyed by its formatted labels.
+class Metric {
+    constructor(name, help, type) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.series = new Map();
+    }
+
+    get(labels) {
+        const key = formatLabels(labels);
+        if (!this.series.has(key)) this.series.set(key, this.create(labels));
+        return this.series.get(key);
+    }
+
+    create(labels) {
+        return { labels, value: 0 };
+    }
+
+    // Drops the series having all of `labels`.
+    remove(labels) {
+        this.series.forEach((series, key) => {
+            if (
+                Object.entries(labels).every(
+                    ([name, value]) =>
+                        String(series.labels[name]) === String(value)
+                )
+            )
+                this.series.delete(key);
+        });
+    }
+
+    lines() {
+        return Array.from(this.series.entries()).map(
+            ([key, { value }]) => `${this.name}${key} ${value}`
+        );
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help) {
+        super(name, help, "counter");
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.get(labels).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help) {
+        super(name, help, "gauge");
+    }
+
+    set(labels, value) {
+        this.get(labels).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, buckets = DEFAULT_BUCKETS) {
+        super(name, help, "histogram");
+        this.buckets = buckets;
+    }
+
+    create(labels) {
+        return { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    observe(labels, value) {
+        const series = this.get(labels);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    lines() {
+        const lines = [];
+        this.series.forEach(({ labels, counts, sum, count }) => {
+            this.buckets.forEach((bound, i) =>
+                lines.push(
+                    `${this.name}_bucket${formatLabels({
+                        ...labels,
+                        le: bound,
+                    })} ${counts[i]}`
+                )
+            );
+            lines.push(
+                `${this.name}_bucket${formatLabels({
+                    ...labels,
+                    le: "+Inf",
+                })} ${count}`,
+                `${this.name}_sum${formatLabels(labels)} ${sum}`,
+                `${this.name}_count${formatLabels(labels)} ${count}`
+            );
+        });
+        return lines;
+    }
+}
+
+/**
+ * Holds counters, gauges and histograms and renders them in the Prometheus
+ * text exposition format. Label values should come from a bounded set.
+ */
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(name, help));
+    }
+
+    gauge(name, help) {
+        return this.register(new Gauge(name, help));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(name, help, buckets));
+    }
+
+    find(name) {
+        return this.metrics.find((metric) => metric.name === name);
+    }
+
+    removeSeries(labels) {
+        this.metrics.forEach((metric) => metric.remove(labels));
+    }
+
+    render() {
+        return (
+            this.metrics
+                .map((metric) =>
+                    [
+                        `# HELP ${metric.name} ${metric.help}`,
+                        `# TYPE ${metric.name} ${metric.type}`,
+                        ...metric.lines(),
+                    ].join("\n")
+                )
+                .join("\n") + "\n"
+        );
+    }
+}
+
+const UPDATES = { counter: "inc", gauge: "set", histogram: "observe" };
+
+/**
+ * Stands in for a Registry in cluster workers. The primary process applies
+ * their updates to one registry, which keeps counting when workers restart,
+ * and renders it for all of them. Gauges describe a single process, so
+ * they carry the `worker` id as a label.
+ */
+class RegistryClient {
+    constructor(worker, channel = process) {
+        this.worker = worker;
+        this.channel = channel;
+        this.pending = new Map();
+        this.nextId = 0;
+        channel.on("message", (message) => {
+            if (message.metrics !== "render") return;
+            const resolve = this.pending.get(message.id);
+            this.pending.delete(message.id);
+            if (resolve) resolve(message.text);
+        });
+    }
+
+    update(name, method, labels, value) {
+        this.channel.send({ metrics: "update", name, method, labels, value });
+    }
+
+    counter(name) {
+        return {
+            inc: (labels = {}, amount = 1) =>
+                this.update(name, "inc", labels, amount),
+        };
+    }
+
+    gauge(name) {
+        return {
+            set: (labels, value) =>
+                this.update(
+                    name,
+                    "set",
+                    { ...labels, worker: this.worker },
+                    value
+                ),
+        };
+    }
+
+    histogram(name) {
+        return {
+            observe: (labels, value) =>
+                this.update(name, "observe", labels, value),
+        };
+    }
+
+    render() {
+        return new Promise((resolve) => {
+            const id = this.nextId++;
+            this.pending.set(id, resolve);
+            this.channel.send({ metrics: "render", id });
+        });
+    }
+}
+
+// Applies the updates of `worker`'s RegistryClient to the primary's
+// `registry` and drops its gauges once it exits.
+function serveMetrics(worker, registry) {
+    worker.on("message", (message) => {
+        if (message.metrics === "update") {
+            const metric = registry.find(message.name);
+            if (metric && UPDATES[metric.type] === message.method)
+                metric[message.method](message.labels, message.value);
+        } else if (message.metrics === "render") {
+            worker.send({
+                metrics: "render",
+                id: message.id,
+                text: registry.render(),
+            });
+        }
+    });
+    worker.once("exit", () => registry.removeSeries({ worker: worker.id }));
+}
+
+module.exports = { Registry, RegistryClient, serveMetrics };
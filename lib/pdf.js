@@ -0,0 +1,513 @@
+const zlib = require("zlib");
+
+const A4 = [595.28, 841.89];
+const FONTS = {
+    regular: "Helvetica",
+    bold: "Helvetica-Bold",
+    italic: "Helvetica-Oblique",
+};
+const FONT_KEYS = { regular: "F1", bold: "F2", italic: "F3" };
+
+// Widths of characters 32 to 126 in thousandths of the font size, from the
+// Adobe metrics of the standard fonts (Helvetica-Oblique has Helvetica's).
+const DIGITS = Array(10).fill(556);
+const HELVETICA = [
+    278,
+    278,
+    355,
+    556,
+    556,
+    889,
+    667,
+    191,
+    333,
+    333,
+    389,
+    584,
+    278,
+    333,
+    278,
+    278,
+    ...DIGITS,
+    278,
+    278,
+    584,
+    584,
+    584,
+    556,
+    1015,
+    667,
+    667,
+    722,
+    722,
+    667,
+    611,
+    778,
+    722,
+    278,
+    500,
+    667,
+    556,
+    833,
+    722,
+    778,
+    667,
+    778,
+    722,
+    667,
+    611,
+    722,
+    667,
+    944,
+    667,
+    667,
+    611,
+    278,
+    278,
+    278,
+    469,
+    556,
+    333,
+    556,
+    556,
+    500,
+    556,
+    556,
+    278,
+    556,
+    556,
+    222,
+    222,
+    500,
+    222,
+    833,
+    556,
+    556,
+    556,
+    556,
+    333,
+    500,
+    278,
+    556,
+    500,
+    722,
+    500,
+    500,
+    500,
+    334,
+    260,
+    334,
+    584,
+];
+const HELVETICA_BOLD = [
+    278,
+    333,
+    474,
+    556,
+    556,
+    889,
+    722,
+    238,
+    333,
+    333,
+    389,
+    584,
+    278,
+    333,
+    278,
+    278,
+    ...DIGITS,
+    333,
+    333,
+    584,
+    584,
+    584,
+    611,
+    975,
+    722,
+    722,
+    722,
+    722,
+    667,
+    611,
+    778,
+    722,
+    278,
+    556,
+    722,
+    611,
+    833,
+    722,
+    778,
+    667,
+    778,
+    722,
+    667,
+    611,
+    722,
+    667,
+    944,
+    667,
+    667,
+    611,
+    333,
+    278,
+    333,
+    584,
+    556,
+    333,
+    556,
+    611,
+    556,
+    611,
+    556,
+    333,
+    611,
+    611,
+    278,
+    278,
+    556,
+    278,
+    889,
+    611,
+    611,
+    611,
+    611,
+    389,
+    556,
+    333,
+    611,
+    556,
+    778,
+    556,
+    556,
+    500,
+    389,
+    280,
+    389,
+    584,
+];
+const WIDTHS = {
+    regular: HELVETICA,
+    bold: HELVETICA_BOLD,
+    italic: HELVETICA,
+};
+// Other characters of WinAnsiEncoding; accented letters are as wide as
+// their base letter, and the rest is taken as wide as a digit.
+const SPECIAL_WIDTHS = {
+    "\u00a0": 278,
+    "•": 350,
+    "…": 1000,
+    "—": 1000,
+    "–": 556,
+    "‘": 278,
+    "’": 278,
+    "“": 500,
+    "”": 500,
+    "«": 556,
+    "»": 556,
+    "°": 400,
+    "©": 737,
+    "®": 737,
+    "™": 1000,
+    æ: 889,
+    Æ: 1000,
+    œ: 944,
+    Œ: 1000,
+    ß: 611,
+};
+// WinAnsiEncoding is Latin-1 but for these, in place of control codes.
+const WIN_ANSI = {
+    "€": 0x80,
+    "‚": 0x82,
+    ƒ: 0x83,
+    "„": 0x84,
+    "…": 0x85,
+    "†": 0x86,
+    "‡": 0x87,
+    ˆ: 0x88,
+    "‰": 0x89,
+    Š: 0x8a,
+    "‹": 0x8b,
+    Œ: 0x8c,
+    Ž: 0x8e,
+    "‘": 0x91,
+    "’": 0x92,
+    "“": 0x93,
+    "”": 0x94,
+    "•": 0x95,
+    "–": 0x96,
+    "—": 0x97,
+    "˜": 0x98,
+    "™": 0x99,
+    š: 0x9a,
+    "›": 0x9b,
+    œ: 0x9c,
+    ž: 0x9e,
+    Ÿ: 0x9f,
+};
+
+const baseLetter = (char) => char.normalize("NFD")[0];
+
+// Characters the standard fonts cannot show become their base letter or "?".
+function encode(text) {
+    return Array.from(text, (char) => {
+        const code = char.charCodeAt(0);
+        if ((code >= 32 && code < 127) || (code >= 0xa0 && code <= 0xff))
+            return char;
+        if (char in WIN_ANSI) return String.fromCharCode(WIN_ANSI[char]);
+        const base = baseLetter(char);
+        return base.charCodeAt(0) < 127 && base !== char ? base : "?";
+    }).join("");
+}
+
+function charWidth(char, font) {
+    const code = char.charCodeAt(0);
+    if (code >= 32 && code < 127) return WIDTHS[font][code - 32];
+    if (char in SPECIAL_WIDTHS) return SPECIAL_WIDTHS[char];
+    const base = baseLetter(char);
+    return base !== char ? charWidth(base, font) : 556;
+}
+
+function textWidth(text, font, size) {
+    return (
+        (Array.from(text).reduce(
+            (sum, char) => sum + charWidth(char, font),
+            0
+        ) *
+            size) /
+        1000
+    );
+}
+
+// Content strings hold WinAnsi bytes, written out as Latin-1.
+function pdfString(text) {
+    return `(${encode(text).replace(/[\\()]/g, "\\$&")})`;
+}
+
+// Metadata strings are UTF-16BE, which any text fits in.
+function pdfTextString(text) {
+    const utf16 = Buffer.from(`\ufeff${text}`, "utf16le").swap16();
+    return `<${utf16.toString("hex")}>`;
+}
+
+const number = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * Lays out paragraphs of text on A4 pages with the standard Helvetica
+ * fonts, wrapping lines and starting pages as needed. Text may be a link,
+ * clickable in viewers.
+ */
+class PDFDocument {
+    constructor({ title = "", author = "", lang = "", margin = 56 } = {}) {
+        this.info = { title, author, lang };
+        this.margin = margin;
+        this.width = A4[0] - 2 * margin;
+        this.pages = [];
+        this.addPage();
+    }
+
+    addPage() {
+        this.page = { ops: [], links: [] };
+        this.pages.push(this.page);
+        this.y = A4[1] - this.margin;
+    }
+
+    // Moves down by `height`, on a new page if this one has no room left.
+    advance(height) {
+        if (this.y - height < this.margin) this.addPage();
+        this.y -= height;
+    }
+
+    space(height) {
+        this.y = Math.max(this.y - height, this.margin);
+    }
+
+    wrap(text, font, size, width) {
+        const lines = [];
+        let line = "";
+        text.split(/\s+/)
+            .filter(Boolean)
+            .forEach((word) => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (!line || textWidth(candidate, font, size) <= width) {
+                    line = candidate;
+                    return;
+                }
+                lines.push(line);
+                line = word;
+            });
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    /**
+     * Writes `text` as a paragraph. `bullet` hangs a bullet in the left
+     * margin of its first line, `link` makes every line a link to it and
+     * `color` is RGB from 0 to 1.
+     */
+    text(
+        text,
+        {
+            font = "regular",
+            size = 10,
+            color = [0, 0, 0],
+            indent = 0,
+            bullet = false,
+            link = null,
+            lineHeight = 1.35,
+            before = 0,
+            after = 0,
+        } = {}
+    ) {
+        const x = this.margin + indent + (bullet ? size : 0);
+        const lines = this.wrap(
+            text,
+            font,
+            size,
+            this.width - (x - this.margin)
+        );
+        const leading = size * lineHeight;
+        const fill = `${color.map(number).join(" ")} rg`;
+
+        this.space(before);
+        lines.forEach((line, i) => {
+            this.advance(leading);
+            const baseline = this.y + (leading - size) / 2 + size * 0.22;
+            const show = (left, content) =>
+                this.page.ops.push(
+                    `BT /${FONT_KEYS[font]} ${number(size)} Tf ${fill} ${number(
+                        left
+                    )} ${number(baseline)} Td ${pdfString(content)} Tj ET`
+                );
+            if (bullet && i === 0) show(x - size, "•");
+            show(x, line);
+            if (link)
+                this.page.links.push({
+                    rect: [
+                        x,
+                        baseline - size * 0.25,
+                        x + textWidth(line, font, size),
+                        baseline + size * 0.9,
+                    ],
+                    url: link,
+                });
+        });
+        this.space(after);
+    }
+
+    rule({ color = [0.8, 0.8, 0.8], after = 6 } = {}) {
+        this.advance(1);
+        this.page.ops.push(
+            `${color.map(number).join(" ")} RG 0.5 w ${number(
+                this.margin
+            )} ${number(this.y)} m ${number(this.margin + this.width)} ${number(
+                this.y
+            )} l S`
+        );
+        this.space(after);
+    }
+
+    toBuffer() {
+        const objects = [];
+        const add = (body) => objects.push(body);
+
+        const catalog = add(null);
+        const pages = add(null);
+        const fonts = Object.entries(FONTS).map(([key, name]) => [
+            FONT_KEYS[key],
+            add(
+                `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`
+            ),
+        ]);
+        const info = add(
+            `<< /Title ${pdfTextString(
+                this.info.title
+            )} /Author ${pdfTextString(this.info.author)} >>`
+        );
+        const resources = `<< /Font << ${fonts
+            .map(([key, id]) => `/${key} ${id} 0 R`)
+            .join(" ")} >> >>`;
+
+        const kids = this.pages.map(({ ops, links }) => {
+            const stream = zlib.deflateSync(
+                Buffer.from(ops.join("\n"), "latin1")
+            );
+            const contents = add([
+                `<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`,
+                stream,
+                "\nendstream",
+            ]);
+            const annotations = links.map(
+                ({ rect, url }) =>
+                    `<< /Type /Annot /Subtype /Link /Rect [${rect
+                        .map(number)
+                        .join(
+                            " "
+                        )}] /Border [0 0 0] /A << /S /URI /URI ${pdfString(
+                        url
+                    )} >> >>`
+            );
+            return add(
+                `<< /Type /Page /Parent ${pages} 0 R /MediaBox [0 0 ${A4.map(
+                    number
+                ).join(
+                    " "
+                )}] /Resources ${resources} /Contents ${contents} 0 R${
+                    annotations.length
+                        ? ` /Annots [${annotations.join(" ")}]`
+                        : ""
+                } >>`
+            );
+        });
+
+        objects[catalog - 1] = `<< /Type /Catalog /Pages ${pages} 0 R${
+            this.info.lang ? ` /Lang ${pdfString(this.info.lang)}` : ""
+        } >>`;
+        objects[pages - 1] = `<< /Type /Pages /Kids [${kids
+            .map((id) => `${id} 0 R`)
+            .join(" ")}] /Count ${kids.length} >>`;
+
+        const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+        let length = chunks[0].length;
+        const offsets = objects.map((body, i) => {
+            const offset = length;
+            [`${i + 1} 0 obj\n`, ...[].concat(body), "\nendobj\n"].forEach(
+                (part) => {
+                    const chunk = Buffer.isBuffer(part)
+                        ? part
+                        : Buffer.from(part, "latin1");
+                    chunks.push(chunk);
+                    length += chunk.length;
+                }
+            );
+            return offset;
+        });
+
+        chunks.push(
+            Buffer.from(
+                [
+                    "xref",
+                    `0 ${objects.length + 1}`,
+                    "0000000000 65535 f ",
+                    ...offsets.map(
+                        (offset) =>
+                            `${String(offset).padStart(10, "0")} 00000 n `
+                    ),
+                    "trailer",
+                    `<< /Size ${
+                        objects.length + 1
+                    } /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+                    "startxref",
+                    String(length),
+                    "%%EOF",
+                    "",
+                ].join("\n"),
+                "latin1"
+            )
+        );
+        return Buffer.concat(chunks);
+    }
+}
+
+module.exports = { PDFDocument };
@@ -0,0 +1,102 @@
+// Sliding-window limiter: each key may hit `limit` times per `windowMs`.
+class RateLimiter {
+    constructor({ limit, windowMs }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.hits = new Map();
+        this.prunedAt = 0;
+    }
+
+    recent(key, now) {
+        return (this.hits.get(key) || []).filter(
+            (time) => time > now - this.windowMs
+        );
+    }
+
+    // Seconds until `key` may hit again, 0 if it may hit now.
+    retryAfter(key, now = Date.now()) {
+        const recent = this.recent(key, now);
+        return recent.length >= this.limit
+            ? Math.ceil((recent[0] + this.windowMs - now) / 1000)
+            : 0;
+    }
+
+    hit(key, now = Date.now()) {
+        this.prune(now);
+
+        const retryAfter = this.retryAfter(key, now);
+        if (retryAfter) return { allowed: false, retryAfter };
+
+        const recent = this.recent(key, now);
+        recent.push(now);
+        this.hits.set(key, recent);
+        return { allowed: true, remaining: this.limit - recent.length };
+    }
+
+    prune(now) {
+        if (now - this.prunedAt < this.windowMs) return;
+        this.prunedAt = now;
+        this.hits.forEach((times, key) => {
+            if (times[times.length - 1] <= now - this.windowMs)
+                this.hits.delete(key);
+        });
+    }
+}
+
+/**
+ * Stands in for a RateLimiter in cluster workers, so that hits on any of
+ * them count against the same limit: the primary process keeps the hits
+ * and answers through serveRateLimiters. Results come as promises.
+ */
+class RateLimiterClient {
+    constructor(name, channel = process) {
+        this.name = name;
+        this.channel = channel;
+        this.pending = new Map();
+        this.nextId = 0;
+        channel.on("message", (message) => {
+            if (message.rateLimit !== name) return;
+            const resolve = this.pending.get(message.id);
+            this.pending.delete(message.id);
+            if (resolve) resolve(message.result);
+        });
+    }
+
+    request(method, key) {
+        return new Promise((resolve) => {
+            const id = this.nextId++;
+            this.pending.set(id, resolve);
+            this.channel.send({ rateLimit: this.name, id, method, key });
+        });
+    }
+
+    retryAfter(key) {
+        return this.request("retryAfter", key);
+    }
+
+    hit(key) {
+        return this.request("hit", key);
+    }
+}
+
+// Answers the RateLimiterClients of `worker` from the primary's `limiters`,
+// an object of RateLimiters by name.
+function serveRateLimiters(worker, limiters) {
+    worker.on("message", (message) => {
+        if (
+            !Object.prototype.hasOwnProperty.call(
+                limiters,
+                message.rateLimit
+            ) ||
+            !["hit", "retryAfter"].includes(message.method)
+        )
+            return;
+        worker.send({
+            rateLimit: message.rateLimit,
+            id: message.id,
+            result: limiters[message.rateLimit][message.method](message.key),
+        });
+    });
+}
+
+module.exports = { RateLimiter, RateLimiterClient, serveRateLimiters };
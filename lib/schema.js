@@ -0,0 +1,131 @@
+const { globToRegExp } = require("./glob");
+
+const FORMATS = {
+    url: {
+        description: "an absolute http(s) URL",
+        test: (value) => {
+            try {
+                return /^https?:$/.test(new URL(value).protocol);
+            } catch {
+                return false;
+            }
+        },
+    },
+    month: {
+        description: "a date as YYYY-MM",
+        test: (value) => /^\d{4}-(0[1-9]|1[0-2])$/.test(value),
+    },
+    date: {
+        description: "a date as YYYY-MM-DD",
+        test: (value) => {
+            const date = new Date(`${value}T00:00:00Z`);
+            return (
+                /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+                !Number.isNaN(date.getTime()) &&
+                date.toISOString().startsWith(value)
+            );
+        },
+    },
+    year: {
+        description: "a year as YYYY",
+        test: (value) => /^\d{4}$/.test(value),
+    },
+    glob: {
+        description: "a glob pattern",
+        test: (value) => {
+            try {
+                return !!globToRegExp(value);
+            } catch {
+                return false;
+            }
+        },
+    },
+    extension: {
+        description: "a lowercase file extension like .woff2",
+        test: (value) => /^\.[a-z0-9]+$/.test(value),
+    },
+    header: {
+        description: "an HTTP header name",
+        test: (value) => /^[A-Za-z0-9-]+$/.test(value),
+    },
+};
+
+class SchemaError extends Error {
+    constructor(source, problems) {
+        super(
+            `${source} is invalid:\n${problems
+                .map((problem) => `  - ${problem}`)
+                .join("\n")}`
+        );
+        this.name = "SchemaError";
+        this.problems = problems;
+    }
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return "array";
+    if (value === null) return "null";
+    return typeof value;
+}
+
+/**
+ * Checks `value` against a small JSON-schema-like description supporting
+ * `type`, `required`, `properties`, `additionalProperties`, `propertyNames`,
+ * `items`, `enum` and the string `format`s above. Returns a list of problems.
+ */
+function validate(value, schema, at = "") {
+    const where = at || "(root)";
+    const actual = typeOf(value);
+    const types = [].concat(schema.type);
+
+    if (!types.includes(actual))
+        return [`${where}: expected ${types.join(" or ")}, got ${actual}`];
+
+    if (schema.enum && !schema.enum.includes(value))
+        return [
+            `${where}: expected one of ${schema.enum
+                .map((v) => JSON.stringify(v))
+                .join(", ")}, got ${JSON.stringify(value)}`,
+        ];
+
+    if (actual === "string" && schema.format) {
+        const format = FORMATS[schema.format];
+        if (!format.test(value))
+            return [
+                `${where}: expected ${format.description}, got ${JSON.stringify(
+                    value
+                )}`,
+            ];
+    }
+
+    if (actual === "array" && schema.items)
+        return value.flatMap((item, i) =>
+            validate(item, schema.items, `${at}[${i}]`)
+        );
+
+    if (actual !== "object") return [];
+
+    const problems = [];
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+        if (value[key] === undefined)
+            problems.push(`${where}: missing required field "${key}"`);
+    });
+
+    Object.entries(value).forEach(([key, item]) => {
+        const path = at ? `${at}.${key}` : key;
+        if (schema.propertyNames)
+            problems.push(...validate(key, schema.propertyNames, path));
+        if (properties[key]) {
+            problems.push(...validate(item, properties[key], path));
+        } else if (schema.additionalProperties) {
+            problems.push(...validate(item, schema.additionalProperties, path));
+        } else {
+            problems.push(`${path}: unknown field`);
+        }
+    });
+
+    return problems;
+}
+
+module.exports = { validate, SchemaError };
@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+
+const CACHE_PREFIX = "portfolio-";
+
+/**
+ * What a service worker precaches of `entries`: the `documents` among them,
+ * and the other entries they reference, each in path order. The cache
+ * version is a digest of their ETags, so that any change makes browsers
+ * install the new worker.
+ */
+function precache(entries, documents) {
+    const byPath = new Map(entries.map((entry) => [entry.path, entry]));
+    const pages = documents.filter((urlPath) => byPath.has(urlPath)).sort();
+    const texts = pages.map((urlPath) =>
+        byPath.get(urlPath).body.toString("utf8")
+    );
+    const files = [
+        ...pages,
+        ...Array.from(byPath.keys())
+            .filter(
+                (urlPath) =>
+                    !pages.includes(urlPath) &&
+                    texts.some((text) => text.includes(urlPath))
+            )
+            .sort(),
+    ];
+
+    const version = crypto
+        .createHash("sha256")
+        .update(
+            files
+                .map((urlPath) => `${urlPath} ${byPath.get(urlPath).etag}`)
+                .join("\n")
+        )
+        .digest("hex")
+        .slice(0, 16);
+    return { version, files };
+}
+
+/**
+ * The source of a service worker precaching `files` in a cache named after
+ * `version`: a deploy changing any of them installs a new cache and removes
+ * the old one. Pages come from the network first, then from the cache, then
+ * from the first of `offlinePages` (`[pathPrefix, page]` pairs) matching
+ * their path; the other precached files come from the cache first.
+ */
+function serviceWorker({ version, files, offlinePages }) {
+    return `const PREFIX = ${JSON.stringify(CACHE_PREFIX)};
+const CACHE = PREFIX + ${JSON.stringify(version)};
+const FILES = ${JSON.stringify(files)};
+const OFFLINE_PAGES = ${JSON.stringify(offlinePages)};
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(
+        caches
+            .open(CACHE)
+            .then((cache) => cache.addAll(FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil(
+        caches
+            .keys()
+            .then((keys) =>
+                Promise.all(
+                    keys
+                        .filter((key) => key.startsWith(PREFIX) && key !== CACHE)
+                        .map((key) => caches.delete(key))
+                )
+            )
+            .then(() => self.clients.claim())
+    );
+});
+
+// Pages are cached as their index.html, which is never redirected to
+// another language.
+const cachedPage = (url) =>
+    caches
+        .match(url.pathname.endsWith("/") ? url.pathname + "index.html" : url.pathname)
+        .then((cached) => {
+            if (cached) return cached;
+            const offline = OFFLINE_PAGES.find(([prefix]) =>
+                url.pathname.startsWith(prefix)
+            );
+            return offline && caches.match(offline[1]);
+        })
+        .then((response) => response || Response.error());
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+    if (request.mode === "navigate")
+        event.respondWith(fetch(request).catch(() => cachedPage(url)));
+    else if (FILES.includes(url.pathname))
+        event.respondWith(
+            caches
+                .match(url.pathname)
+                .then((cached) => cached || fetch(request))
+        );
+});
+`;
+}
+
+module.exports = { precache, serviceWorker };
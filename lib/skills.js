@@ -0,0 +1,37 @@
+const WORD = /[\p{L}\p{N}](?:[\p{L}\p{N}.+#]*[\p{L}\p{N}+#])?/gu;
+
+// Words compare without case, version numbers or a JS/CSS suffix, so that
+// "Vue" matches "VueJS", "Next" matches "Next.js" and "CSS" matches "CSS3".
+function words(text) {
+    return (text.match(WORD) || []).map((word) =>
+        word
+            .toLowerCase()
+            .replace(/(?<=\D)[\d.]+$/, "")
+            .replace(/(?<=.)(?:\.?js|css)$/, "")
+    );
+}
+
+// The id of a skill in ?skills= links: "C#" is "csharp", "CI/CD" "ci-cd".
+function skillId(label) {
+    return label
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/\+/g, "p")
+        .replace(/#/g, "sharp")
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "");
+}
+
+// Whether one of `texts` has the words of `label` in a row.
+function mentions(texts, label) {
+    const wanted = words(label);
+    return texts.some((text) => {
+        const found = words(text);
+        return found.some((_, start) =>
+            wanted.every((word, i) => found[start + i] === word)
+        );
+    });
+}
+
+module.exports = { skillId, mentions };
@@ -0,0 +1,181 @@
+const TAG = /\{\{\s*([#/>]?)\s*([^{}]*?)\s*\}\}/g;
+
+class SafeString {
+    constructor(html) {
+        this.html = html;
+    }
+
+    toString() {
+        return this.html;
+    }
+}
+
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+function lineOf(src, offset) {
+    return src.slice(0, offset).split("\n").length;
+}
+
+function parse(src) {
+    const root = { children: [] };
+    root.body = root.children;
+    const stack = [root];
+    let last = 0;
+    let match;
+
+    const current = () => stack[stack.length - 1];
+    const fail = (message, offset) => {
+        throw new SyntaxError(
+            `${message} (template line ${lineOf(src, offset)})`
+        );
+    };
+
+    TAG.lastIndex = 0;
+    while ((match = TAG.exec(src))) {
+        const [tag, sigil, body] = match;
+        const line = lineOf(src, match.index);
+        let textEnd = match.index;
+        let next = match.index + tag.length;
+
+        // Like Mustache, a block tag alone on its line removes that line.
+        if (sigil || body === "else") {
+            const lineStart = src.lastIndexOf("\n", match.index - 1) + 1;
+            const newline = src.indexOf("\n", next);
+            const lineEnd = newline === -1 ? src.length : newline + 1;
+            if (
+                lineStart >= last &&
+                /^[ \t]*$/.test(src.slice(lineStart, match.index)) &&
+                /^[ \t\r]*\n?$/.test(src.slice(next, lineEnd))
+            ) {
+                textEnd = lineStart;
+                next = lineEnd;
+            }
+        }
+
+        if (textEnd > last) current().body.push(src.slice(last, textEnd));
+        last = next;
+
+        if (sigil === "#") {
+            const [block, expr] = body.split(/\s+/, 2);
+            if (block !== "each" && block !== "if")
+                fail(`Unknown block "${block}"`, match.index);
+            const node = { block, expr, line, children: [], otherwise: null };
+            node.body = node.children;
+            current().body.push(node);
+            stack.push(node);
+        } else if (sigil === ">") {
+            current().body.push({ partial: body, line });
+        } else if (sigil === "/") {
+            const node = stack.pop();
+            if (stack.length === 0 || node.block !== body)
+                fail(`Unexpected {{/${body}}}`, match.index);
+        } else if (body === "else") {
+            const node = current();
+            if (node.block !== "if" || node.otherwise)
+                fail("Unexpected {{else}}", match.index);
+            node.otherwise = [];
+            node.body = node.otherwise;
+        } else {
+            const [expr, ...filters] = body.split("|").map((s) => s.trim());
+            current().body.push({ expr, filters, line });
+        }
+    }
+
+    if (stack.length > 1) fail(`Unclosed {{#${current().block}}}`, src.length);
+    if (last < src.length) root.children.push(src.slice(last));
+    return root.children;
+}
+
+function lookup(expr, scopes) {
+    if (expr === "this") return scopes[scopes.length - 1];
+
+    const [head, ...rest] = expr.split(".");
+    const scope = scopes
+        .slice()
+        .reverse()
+        .find(
+            (s) =>
+                s !== null &&
+                typeof s === "object" &&
+                Object.prototype.hasOwnProperty.call(s, head)
+        );
+    let value = scope ? scope[head] : undefined;
+    for (const key of rest) value = value == null ? undefined : value[key];
+    return value;
+}
+
+function renderNodes(nodes, scopes, options) {
+    return nodes
+        .map((node) => {
+            if (typeof node === "string") return node;
+
+            if (node.partial !== undefined) {
+                const src = options.partials[node.partial];
+                if (src === undefined)
+                    throw new ReferenceError(
+                        `Unknown partial "${node.partial}" (template line ${node.line})`
+                    );
+                return renderNodes(parse(src), scopes, options);
+            }
+
+            const value = lookup(node.expr, scopes);
+
+            if (node.block === "if") {
+                const truthy = Array.isArray(value)
+                    ? value.length > 0
+                    : !!value;
+                const branch = truthy ? node.children : node.otherwise || [];
+                return renderNodes(branch, scopes, options);
+            }
+
+            if (node.block === "each") {
+                if (value === undefined) return "";
+                if (!Array.isArray(value))
+                    throw new TypeError(
+                        `"${node.expr}" is not a list (template line ${node.line})`
+                    );
+                return value
+                    .map((item) =>
+                        renderNodes(node.children, [...scopes, item], options)
+                    )
+                    .join("");
+            }
+
+            if (value == null)
+                throw new ReferenceError(
+                    `"${node.expr}" is not defined (template line ${node.line})`
+                );
+
+            const output = node.filters.reduce((result, name) => {
+                if (!options.filters[name])
+                    throw new ReferenceError(
+                        `Unknown filter "${name}" (template line ${node.line})`
+                    );
+                return options.filters[name](result);
+            }, value);
+
+            return output instanceof SafeString
+                ? output.html
+                : escapeHTML(output);
+        })
+        .join("");
+}
+
+/**
+ * Renders a Mustache-like template: `{{ path | filter }}` outputs an escaped
+ * value, `{{#each list}}…{{/each}}` and `{{#if path}}…{{else}}…{{/if}}` are
+ * the only blocks, and `{{> name}}` renders the template `partials[name]`
+ * in place. Filters may return a SafeString to emit trusted markup.
+ */
+function render(src, data, { filters = {}, partials = {} } = {}) {
+    return renderNodes(parse(src), [data], { filters, partials });
+}
+
+module.exports = { render, escapeHTML, SafeString };
@@ -0,0 +1,360 @@
+const vm = require("vm");
+
+const KEYS = ["Escape", "Enter", "Tab", "ArrowDown", "ArrowUp", "Home", "End"];
+
+class VerificationError extends Error {
+    constructor(problems) {
+        super(
+            `Verification failed:\n${problems
+                .map((problem) => `  - ${problem}`)
+                .join("\n")}`
+        );
+        this.name = "VerificationError";
+        this.problems = problems;
+    }
+}
+
+function location(src, offset) {
+    const lines = src.slice(0, offset).split("\n");
+    return `${lines.length}:${lines[lines.length - 1].length + 1}`;
+}
+
+function excerpt(src, offset, radius = 30) {
+    const start = Math.max(0, offset - radius);
+    return JSON.stringify(src.slice(start, offset + radius));
+}
+
+function checkScriptSyntax(code, filename) {
+    try {
+        new vm.Script(code, { filename });
+        return null;
+    } catch (error) {
+        if (!(error instanceof SyntaxError)) throw error;
+        const [header = "", , caret = ""] = String(error.stack).split("\n");
+        const line = Number(header.slice(header.lastIndexOf(":") + 1)) || 1;
+        const column = Math.max(0, caret.indexOf("^"));
+        const offset =
+            code
+                .split("\n")
+                .slice(0, line - 1)
+                .join("\n").length +
+            (line > 1 ? 1 : 0) +
+            column;
+        return `${filename}:${line}:${column + 1}: ${
+            error.message
+        } near ${excerpt(code, offset)}`;
+    }
+}
+
+// The Content-Security-Policy has no 'unsafe-eval', so code compiled from
+// strings would only fail once in a browser.
+function checkNoEval(code, filename) {
+    const match = /\b(?:new\s+Function|eval)\s*\(/.exec(code);
+    return match
+        ? `${filename}:${location(code, match.index)}: ${match[0]
+              .replace(/\s*\($/, "")
+              .replace(/\s+/, " ")} is blocked by the Content-Security-Policy`
+        : null;
+}
+
+function checkCSS(css, filename) {
+    const stack = [];
+    let i = 0;
+
+    while (i < css.length) {
+        const c = css[i];
+
+        if (c === "/" && css[i + 1] === "*") {
+            const end = css.indexOf("*/", i + 2);
+            if (end === -1)
+                return `${filename}:${location(css, i)}: unterminated comment`;
+            i = end + 2;
+            continue;
+        }
+
+        if (c === '"' || c === "'") {
+            let j = i + 1;
+            while (j < css.length && css[j] !== c && css[j] !== "\n") {
+                if (css[j] === "\\") j++;
+                j++;
+            }
+            if (css[j] !== c)
+                return `${filename}:${location(
+                    css,
+                    i
+                )}: unterminated string ${excerpt(css, i)}`;
+            i = j + 1;
+            continue;
+        }
+
+        if (c === "{" || c === "(" || c === "[") {
+            stack.push(i);
+        } else if (c === "}" || c === ")" || c === "]") {
+            const open = stack.pop();
+            const expected = { "{": "}", "(": ")", "[": "]" }[css[open]];
+            if (expected !== c)
+                return `${filename}:${location(
+                    css,
+                    i
+                )}: unexpected "${c}" ${excerpt(css, i)}`;
+        }
+        i++;
+    }
+
+    if (stack.length) {
+        const open = stack.pop();
+        return `${filename}:${location(css, open)}: unclosed "${
+            css[open]
+        }" ${excerpt(css, open)}`;
+    }
+    return null;
+}
+
+function createDomStub(log, { reducedMotion }) {
+    const names = new WeakMap();
+    const listeners = [];
+    const observers = [];
+    const timers = [];
+
+    const describe = (value) => {
+        if (names.has(value)) return names.get(value);
+        if (typeof value === "function") return "[function]";
+        if (value === undefined) return "undefined";
+        try {
+            return JSON.stringify(value);
+        } catch {
+            return "[object]";
+        }
+    };
+
+    const stub = (name, overrides = {}) => {
+        const props = new Map(Object.entries(overrides));
+        const proxy = new Proxy(function () {}, {
+            get(target, key) {
+                if (key === Symbol.toPrimitive) return () => name;
+                if (typeof key === "symbol" || key === "then") return undefined;
+                if (!props.has(key)) props.set(key, stub(`${name}.${key}`));
+                return props.get(key);
+            },
+            set(target, key, value) {
+                log.push(`${name}.${String(key)} = ${describe(value)}`);
+                props.set(key, value);
+                return true;
+            },
+            apply(target, self, args) {
+                log.push(`${name}(${args.map(describe).join(", ")})`);
+                return stub(`${name}()`);
+            },
+            construct(target, args) {
+                log.push(`new ${name}(${args.map(describe).join(", ")})`);
+                return stub(`new ${name}`);
+            },
+        });
+        names.set(proxy, name);
+        return proxy;
+    };
+
+    const eventTarget = (name) => ({
+        addEventListener(type, listener) {
+            log.push(`${name}.addEventListener(${describe(type)})`);
+            listeners.push({
+                name,
+                type,
+                listener,
+                target: elements.get(name),
+            });
+        },
+        removeEventListener(type) {
+            log.push(`${name}.removeEventListener(${describe(type)})`);
+        },
+    });
+
+    const elements = new Map();
+    const element = (name) => {
+        if (elements.has(name)) return elements.get(name);
+        const classes = new Set();
+        const attributes = new Map();
+        const el = stub(name, {
+            ...eventTarget(name),
+            classList: {
+                add: (...tokens) => {
+                    log.push(`${name}.classList.add(${tokens.join(", ")})`);
+                    tokens.forEach((token) => classes.add(token));
+                },
+                remove: (...tokens) => {
+                    log.push(`${name}.classList.remove(${tokens.join(", ")})`);
+                    tokens.forEach((token) => classes.delete(token));
+                },
+                toggle: (token, force) => {
+                    const on =
+                        force === undefined ? !classes.has(token) : !!force;
+                    log.push(`${name}.classList.toggle(${token}, ${on})`);
+                    if (on) classes.add(token);
+                    else classes.delete(token);
+                    return on;
+                },
+                contains: (token) => classes.has(token),
+            },
+            setAttribute: (key, value) => {
+                log.push(`${name}.setAttribute(${key}, ${describe(value)})`);
+                attributes.set(key, String(value));
+            },
+            getAttribute: (key) =>
+                attributes.has(key) ? attributes.get(key) : null,
+            getAttributeNames: () => Array.from(attributes.keys()),
+            hasAttribute: (key) => attributes.has(key),
+            removeAttribute: (key) => {
+                log.push(`${name}.removeAttribute(${key})`);
+                attributes.delete(key);
+            },
+            matches: () => false,
+            closest: () => null,
+            contains: () => false,
+            querySelector: (selector) => element(`${name} ${selector}`),
+            querySelectorAll: (selector) => list(`${name} ${selector}`),
+        });
+        elements.set(name, el);
+        return el;
+    };
+    const list = (selector) => [0, 1].map((i) => element(`${selector}[${i}]`));
+
+    const document = stub("document", {
+        ...eventTarget("document"),
+        querySelector: (selector) => element(String(selector)),
+        querySelectorAll: (selector) => list(String(selector)),
+        getElementById: (id) => element(`#${id}`),
+        documentElement: element("html"),
+        body: element("body"),
+    });
+    elements.set("document", document);
+
+    function IntersectionObserver(callback, options) {
+        const targets = [];
+        log.push(`new IntersectionObserver(${describe(options)})`);
+        observers.push({ callback, targets });
+        return {
+            observe: (el) => {
+                log.push(`observe(${describe(el)})`);
+                targets.push(el);
+            },
+            unobserve: (el) => log.push(`unobserve(${describe(el)})`),
+            disconnect: () => log.push("disconnect()"),
+        };
+    }
+
+    const schedule = (callback) => {
+        timers.push(callback);
+        return timers.length;
+    };
+
+    const sandbox = {
+        ...eventTarget("window"),
+        document,
+        IntersectionObserver,
+        console: { log() {}, warn() {}, error() {} },
+        matchMedia: (query) => ({
+            matches: /prefers-reduced-motion/.test(query) && reducedMotion,
+            media: query,
+            addEventListener() {},
+        }),
+        setTimeout: schedule,
+        requestAnimationFrame: schedule,
+        clearTimeout: () => {},
+        cancelAnimationFrame: () => {},
+        history: stub("history"),
+        location: stub("location", { hash: "", search: "", pathname: "/" }),
+        navigator: stub("navigator"),
+        localStorage: stub("localStorage"),
+        fetch: stub("fetch"),
+        FormData: stub("FormData"),
+        performance: stub("performance"),
+        EventSource: stub("EventSource"),
+        URL,
+        URLSearchParams,
+    };
+    elements.set("window", sandbox);
+
+    const context = vm.createContext(sandbox);
+    context.window = vm.runInContext("this", context);
+
+    const run = (fn) => {
+        try {
+            fn();
+        } catch (error) {
+            log.push(`threw ${error && error.name}`);
+        }
+    };
+
+    const event = (type, target, key) => ({
+        type,
+        key,
+        target,
+        currentTarget: target,
+        preventDefault: () => log.push(`${type}.preventDefault()`),
+        stopPropagation: () => {},
+    });
+
+    const exercise = () => {
+        listeners
+            .filter(
+                ({ type }) => type === "DOMContentLoaded" || type === "load"
+            )
+            .forEach(({ type, listener, target }) =>
+                run(() => listener.call(target, event(type, target)))
+            );
+        observers.forEach(({ callback, targets }) =>
+            run(() =>
+                callback(
+                    targets.map((target) => ({ target, isIntersecting: true }))
+                )
+            )
+        );
+        listeners
+            .filter(
+                ({ type }) => type !== "DOMContentLoaded" && type !== "load"
+            )
+            .forEach(({ type, listener, target }) => {
+                const keys = /^key/.test(type) ? KEYS : [undefined];
+                keys.forEach((key) =>
+                    run(() => listener.call(target, event(type, target, key)))
+                );
+            });
+        timers.splice(0).forEach((callback) => run(callback));
+    };
+
+    return { context, run, exercise };
+}
+
+function traceScript(code, options) {
+    const log = [];
+    const dom = createDomStub(log, options);
+    dom.run(() => vm.runInContext(code, dom.context, { timeout: 1000 }));
+    dom.exercise();
+    return log;
+}
+
+function compareScriptBehavior(original, minified, filename) {
+    for (const reducedMotion of [false, true]) {
+        const expected = traceScript(original, { reducedMotion });
+        const actual = traceScript(minified, { reducedMotion });
+        const length = Math.max(expected.length, actual.length);
+
+        for (let i = 0; i < length; i++) {
+            if (expected[i] === actual[i]) continue;
+            return `${filename}: behavior differs at step ${i + 1}${
+                reducedMotion ? " (prefers-reduced-motion)" : ""
+            }: expected ${expected[i] || "<nothing>"}, got ${
+                actual[i] || "<nothing>"
+            }`;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    VerificationError,
+    checkScriptSyntax,
+    checkNoEval,
+    checkCSS,
+    compareScriptBehavior,
+};
@@ -0,0 +1,44 @@
+const { webpSize } = require("./webp");
+
+// The color of a theme-color meta tag in `html`, or null.
+function themeColor(html) {
+    const meta = /<meta\b[^>]*\bname=["']?theme-color\b[^>]*>/i.exec(html);
+    const content =
+        meta && /\bcontent=(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i.exec(meta[0]);
+    return content ? content[1] || content[2] || content[3] : null;
+}
+
+/**
+ * A web app manifest installing the site from `/` as a standalone app
+ * named `name`, or the shorter `shortName`. `icon`, when there is one, is
+ * the `src`, `type` and WebP `body` of its icon; `color` both its theme and
+ * background colors.
+ */
+function webManifest({ name, shortName, description, lang, color, icon }) {
+    const size = icon && webpSize(icon.body);
+    return JSON.stringify(
+        {
+            name,
+            short_name: shortName,
+            description,
+            lang,
+            start_url: "/",
+            scope: "/",
+            display: "standalone",
+            ...(color && { theme_color: color, background_color: color }),
+            icons: icon
+                ? [
+                      {
+                          src: icon.src,
+                          type: icon.type,
+                          sizes: size ? `${size.width}x${size.height}` : "any",
+                      },
+                  ]
+                : [],
+        },
+        null,
+        2
+    );
+}
+
+module.exports = { themeColor, webManifest };
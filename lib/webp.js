@@ -0,0 +1,34 @@
+// Width and height of a WebP image, read from the header of its lossy
+// (VP8), lossless (VP8L) or extended (VP8X) bitstream; null if it is not one.
+function webpSize(buffer) {
+    if (
+        buffer.length < 30 ||
+        buffer.toString("latin1", 0, 4) !== "RIFF" ||
+        buffer.toString("latin1", 8, 12) !== "WEBP"
+    )
+        return null;
+
+    switch (buffer.toString("latin1", 12, 16)) {
+        case "VP8X":
+            return {
+                width: buffer.readUIntLE(24, 3) + 1,
+                height: buffer.readUIntLE(27, 3) + 1,
+            };
+        case "VP8L": {
+            const bits = buffer.readUInt32LE(21);
+            return {
+                width: (bits & 0x3fff) + 1,
+                height: ((bits >> 14) & 0x3fff) + 1,
+            };
+        }
+        case "VP8 ":
+            return {
+                width: buffer.readUInt16LE(26) & 0x3fff,
+                height: buffer.readUInt16LE(28) & 0x3fff,
+            };
+        default:
+            return null;
+    }
+}
+
+module.exports = { webpSize };
@@ -2,28 +2,85 @@ const prefersReduced =
     window.matchMedia &&
     window.matchMedia("(prefers-reduced-motion: reduce)").matches;
 
-const revealables = document.querySelectorAll(".reveal");
-if (prefersReduced) {
-    revealables.forEach((el) => el.classList.add("revealed"));
-} else {
-    const io = new IntersectionObserver(
-        (entries) => {
-            for (const e of entries)
-                if (e.isIntersecting) {
-                    e.target.classList.add("revealed");
-                    io.unobserve(e.target);
-                }
-        },
-        { threshold: 0.08, rootMargin: "0px 0px -10% 0px" }
+// Cookieless analytics, skipped under Do Not Track / Global Privacy Control.
+const track = (event) => {
+    if (navigator.doNotTrack === "1" || navigator.globalPrivacyControl) return;
+    if (!navigator.sendBeacon) return;
+    navigator.sendBeacon(
+        "/api/beacon",
+        new Blob([JSON.stringify({ path: location.pathname, ...event })], {
+            type: "application/json",
+        })
     );
-    revealables.forEach((el) => io.observe(el));
-}
+};
+track({ type: "view" });
+
+document.addEventListener("click", (e) => {
+    const link = e.target && e.target.closest && e.target.closest("a[href]");
+    if (link && /^https?:$/.test(link.protocol) && link.host !== location.host)
+        track({ type: "click", url: link.href });
+});
+
+const revealables = document.querySelectorAll(".reveal");
+if (prefersReduced) revealables.forEach((el) => el.classList.add("revealed"));
+const io = new IntersectionObserver(
+    (entries) => {
+        for (const e of entries)
+            if (e.isIntersecting) {
+                e.target.classList.add("revealed");
+                if (e.target.id)
+                    track({ type: "section", section: e.target.id });
+                io.unobserve(e.target);
+            }
+    },
+    { threshold: 0.08, rootMargin: "0px 0px -10% 0px" }
+);
+revealables.forEach((el) => io.observe(el));
 
 const navLinks = [...document.querySelectorAll(".site-nav a")];
+// Off the home page, links lead back to its sections and spy on nothing.
 const sections = navLinks
-    .map((a) => document.querySelector(a.getAttribute("href")))
+    .map((a) => a.getAttribute("href"))
+    .filter((href) => href.startsWith("#"))
+    .map((href) => document.querySelector(href))
     .filter(Boolean);
 
+// Scroll-spy: the link of the section crossing the middle of the viewport is
+// marked current, and the URL follows without scrolling or adding history
+// entries (the first section leaves it without a hash). It starts once the
+// position from the URL is restored, so that it does not overwrite it.
+const setCurrent = (section) => {
+    navLinks.forEach((a) => {
+        if (a.getAttribute("href") === `#${section.id}`)
+            a.setAttribute("aria-current", "location");
+        else a.removeAttribute("aria-current");
+    });
+    const hash = section === sections[0] ? "" : `#${section.id}`;
+    if (location.hash !== hash)
+        history.replaceState(
+            history.state,
+            "",
+            location.pathname + location.search + hash
+        );
+};
+const initialSection = sections.find((el) => `#${el.id}` === location.hash);
+if (sections.length) {
+    const spy = new IntersectionObserver(
+        (entries) => {
+            const current = entries.find((e) => e.isIntersecting);
+            if (current) setCurrent(current.target);
+        },
+        { rootMargin: "-40% 0px -55% 0px" }
+    );
+    window.addEventListener("load", () => {
+        if (initialSection)
+            initialSection.scrollIntoView({
+                behavior: prefersReduced ? "instant" : "auto",
+            });
+        sections.forEach((el) => spy.observe(el));
+    });
+}
+
 const menuBtn = document.getElementById("menuToggle");
 const nav = document.getElementById("primaryNav");
 if (menuBtn && nav) {
@@ -35,8 +92,11 @@ if (menuBtn && nav) {
         nav.classList.add("is-open");
         menuBtn.setAttribute("aria-expanded", "true");
     };
+    const isOpen = () => nav.classList.contains("is-open");
     const toggleMenu = () => {
-        nav.classList.contains("is-open") ? closeMenu() : openMenu();
+        if (isOpen()) return closeMenu();
+        openMenu();
+        if (navLinks.length) navLinks[0].focus({ preventScroll: true });
     };
     menuBtn.addEventListener("click", toggleMenu);
     nav.addEventListener("click", (e) => {
@@ -46,16 +106,189 @@ if (menuBtn && nav) {
     document.addEventListener("click", (e) => {
         if (!nav.contains(e.target) && !menuBtn.contains(e.target)) closeMenu();
     });
+    // While open, Tab cycles through the button and the links, arrows and
+    // Home/End move between the links, and Escape gives focus back.
     document.addEventListener("keydown", (e) => {
-        if (e.key === "Escape") closeMenu();
+        if (!isOpen()) return;
+        if (e.key === "Escape") {
+            closeMenu();
+            menuBtn.focus();
+            return;
+        }
+
+        const last = navLinks.length - 1;
+        const index = navLinks.indexOf(document.activeElement);
+        let target = null;
+        if (e.key === "Tab") {
+            const cycle = [menuBtn, ...navLinks];
+            const step = e.shiftKey ? cycle.length - 1 : 1;
+            target = cycle[(index + 1 + step) % cycle.length];
+        } else if (e.key === "ArrowDown")
+            target = navLinks[index < last ? index + 1 : 0];
+        else if (e.key === "ArrowUp")
+            target = navLinks[index > 0 ? index - 1 : last];
+        else if (e.key === "Home") target = navLinks[0];
+        else if (e.key === "End") target = navLinks[last];
+
+        if (target) {
+            e.preventDefault();
+            target.focus();
+        }
+    });
+}
+
+// Skill filter: tags that the build mapped to experience and projects become
+// toggle buttons showing only the entries using one of the selected skills.
+// The selection is kept in ?skills= so that it can be shared.
+const skillStatus = document.getElementById("skillStatus");
+const skillClear = document.getElementById("skillClear");
+const skilled = [...document.querySelectorAll("[data-skills]")];
+const skillButtons = [...document.querySelectorAll(".tags [data-skill]")].map(
+    (span) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = span.textContent;
+        button.setAttribute("data-skill", span.getAttribute("data-skill"));
+        span.replaceWith(button);
+        return button;
+    }
+);
+if (skillStatus && skillClear && skillButtons.length) {
+    const idOf = (button) => button.getAttribute("data-skill");
+    const selected = new Set(
+        (new URLSearchParams(location.search).get("skills") || "")
+            .split(",")
+            .filter((id) => skillButtons.some((b) => idOf(b) === id))
+    );
+    const applySkills = () => {
+        let count = 0;
+        skilled.forEach((el) => {
+            const match =
+                !selected.size ||
+                (el.getAttribute("data-skills") || "")
+                    .split(" ")
+                    .some((id) => selected.has(id));
+            el.hidden = !match;
+            if (match) count++;
+        });
+        skillButtons.forEach((b) =>
+            b.setAttribute(
+                "aria-pressed",
+                selected.has(idOf(b)) ? "true" : "false"
+            )
+        );
+        skillClear.hidden = !selected.size;
+        skillStatus.textContent = selected.size
+            ? skillStatus
+                  .getAttribute(count === 1 ? "data-one" : "data-other")
+                  .replace("{count}", count)
+            : "";
+
+        const params = new URLSearchParams(location.search);
+        if (selected.size) params.set("skills", [...selected].join(","));
+        else params.delete("skills");
+        const search = params.toString().replace(/%2C/g, ",");
+        history.replaceState(
+            history.state,
+            "",
+            location.pathname + (search && `?${search}`) + location.hash
+        );
+    };
+
+    skillButtons.forEach((button) =>
+        button.addEventListener("click", () => {
+            const id = idOf(button);
+            if (selected.has(id)) selected.delete(id);
+            else selected.add(id);
+            applySkills();
+        })
+    );
+    skillClear.addEventListener("click", () => {
+        selected.clear();
+        applySkills();
+        skillButtons[0].focus();
+    });
+    applySkills();
+}
+
+const contactForm = document.getElementById("contactForm");
+if (contactForm && window.fetch) {
+    const status = contactForm.querySelector(".form-status");
+    const button = contactForm.querySelector("button");
+    const showResult = ({ message = "", errors = {} }) => {
+        ["name", "email", "message"].forEach((name) => {
+            const error = document.getElementById(`contact-${name}-error`);
+            error.textContent = errors[name] || "";
+            contactForm.elements[name].setAttribute(
+                "aria-invalid",
+                errors[name] ? "true" : "false"
+            );
+        });
+        status.textContent = message;
+    };
+    contactForm.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const data = new FormData(contactForm);
+        button.disabled = true;
+        const send = () =>
+            fetch(contactForm.action, {
+                method: "POST",
+                headers: { Accept: "application/json" },
+                body: new URLSearchParams(data),
+            });
+        try {
+            let res = await send();
+            let result = await res.json();
+            // An expired form comes back with a new token, which is good
+            // once it is a few seconds old: the form is sent again then.
+            if (res.status === 409) {
+                showResult(result);
+                const delay = Number(res.headers.get("Retry-After")) || 3;
+                await new Promise((resolve) =>
+                    setTimeout(resolve, delay * 1000)
+                );
+                res = await send();
+                result = await res.json();
+            }
+            showResult(result);
+            if (result.ok) contactForm.reset();
+        } catch {
+            showResult({ message: contactForm.dataset.failed });
+        } finally {
+            button.disabled = false;
+        }
+    });
+}
+
+// `data-onload-rel` and `data-onload-media` on a link set its rel or media
+// once it has loaded, e.g. data-onload-rel="stylesheet" applies a preloaded
+// stylesheet without blocking rendering. Links done loading before this
+// runs are caught up on the window load event.
+const ONLOAD_ATTRIBUTES = ["rel", "media"];
+
+function applyOnloadAttributes(link) {
+    ONLOAD_ATTRIBUTES.forEach((name) => {
+        const value = link.getAttribute(`data-onload-${name}`);
+        if (value === null) return;
+        link.setAttribute(name, value);
+        link.removeAttribute(`data-onload-${name}`);
     });
 }
 
 document.addEventListener("DOMContentLoaded", function () {
-    const links = document.querySelectorAll("link[data-onload]");
+    const links = document.querySelectorAll(
+        "link[data-onload-rel], link[data-onload-media]"
+    );
     links.forEach((link) => {
-        const onloadCode = link.getAttribute("data-onload");
-        link.onload = new Function(onloadCode);
-        link.removeAttribute("data-onload");
+        if (link.sheet) applyOnloadAttributes(link);
+        else link.addEventListener("load", () => applyOnloadAttributes(link));
     });
+    window.addEventListener("load", () => links.forEach(applyOnloadAttributes));
 });
+
+// Keeps visited pages readable offline. There is no worker in dev builds, so
+// registration fails there, quietly.
+if ("serviceWorker" in navigator)
+    window.addEventListener("load", () => {
+        navigator.serviceWorker.register("/sw.js").catch(() => {});
+    });
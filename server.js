@@ -1,17 +1,377 @@
 const http = require("http");
+const http2 = require("http2");
+const cluster = require("cluster");
+const os = require("os");
 const fs = require("fs");
 const path = require("path");
 const zlib = require("zlib");
 const crypto = require("crypto");
+const { execFile } = require("child_process");
+const { mangle } = require("./lib/js-mangler");
+const { collectNames, minifyCSS } = require("./lib/css-minifier");
+const { minifyHTML } = require("./lib/html-minifier");
+const { LRUCache } = require("./lib/lru-cache");
+const { render, escapeHTML, SafeString } = require("./lib/template");
+const { validate, SchemaError } = require("./lib/schema");
+const { CONTENT_SCHEMA } = require("./lib/content-schema");
+const {
+    CONFIG_SCHEMA,
+    CSP_DIRECTIVES,
+    resolveConfig,
+} = require("./lib/config");
+const { createMatcher, expandGlobs } = require("./lib/glob");
+const { rewriteCSSUrls, rewriteHTMLUrls } = require("./lib/asset-urls");
+const { skillId, mentions } = require("./lib/skills");
+const { affectedTasks } = require("./lib/build-tasks");
+const {
+    BLOG_PATH,
+    loadPosts,
+    blogTags,
+    postData,
+    indexData,
+    absoluteLinks,
+    generateRSS,
+    generateAtom,
+} = require("./lib/blog");
+const { generateCV } = require("./lib/cv");
+const { exportStatic } = require("./lib/export");
+const { themeColor, webManifest } = require("./lib/web-manifest");
+const { precache, serviceWorker } = require("./lib/service-worker");
+const {
+    flattenCatalog,
+    resolveCatalog,
+    localize,
+    negotiateLocale,
+} = require("./lib/i18n");
+const {
+    RateLimiter,
+    RateLimiterClient,
+    serveRateLimiters,
+} = require("./lib/rate-limiter");
+const { createTransport } = require("./lib/mail");
+const {
+    Analytics,
+    AnalyticsClient,
+    serveAnalytics,
+} = require("./lib/analytics");
+const { Registry, RegistryClient, serveMetrics } = require("./lib/metrics");
+const { startCluster } = require("./lib/cluster");
+const {
+    CSPReportStore,
+    CSPReportStoreClient,
+    parseReports,
+    serveCSPReports,
+} = require("./lib/csp-reports");
+const {
+    RequestError,
+    readBody,
+    readForm,
+    issueFormToken,
+    submitContact,
+} = require("./lib/contact");
+const {
+    VerificationError,
+    checkScriptSyntax,
+    checkNoEval,
+    checkCSS,
+    compareScriptBehavior,
+} = require("./lib/verify");
 
 const PORT = process.env.PORT || 3000;
 const ROOT = __dirname;
+const DEV = process.argv.includes("--dev");
+const VERIFY_ONLY = process.argv.includes("--verify-only");
+const EXPORT_DIR =
+    process.argv[2] === "export"
+        ? path.resolve(
+              process.argv[3] && !process.argv[3].startsWith("--")
+                  ? process.argv[3]
+                  : path.join(ROOT, "dist")
+          )
+        : null;
+
+const CONFIG_FILE = path.resolve(
+    ROOT,
+    process.env.PORTFOLIO_CONFIG || "portfolio.config.json"
+);
+const REWRITTEN = [".html", ".css", ".js", ".xml", ".txt"];
+const MAX_RANGES = 16;
+const STREAM_THRESHOLD = 1024 * 1024;
+const FALLBACK_CACHE_SIZE = 16 * 1024 * 1024;
+const DEFAULT_CACHE_CONTROL = "public, max-age=3600";
+const MIME_TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".js": "application/javascript; charset=utf-8",
+    ".webp": "image/webp",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".svg": "image/svg+xml",
+    ".ico": "image/x-icon",
+    ".xml": "application/xml; charset=utf-8",
+    ".txt": "text/plain; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".webmanifest": "application/manifest+json; charset=utf-8",
+    ".pdf": "application/pdf",
+    ".woff2": "font/woff2",
+};
+
+// Fallback requests are only answered for public file types, these and the
+// configured mimeTypes, outside of the server sources; dotfiles are always
+// refused.
+const PUBLIC_EXTENSIONS = [
+    ".html",
+    ".css",
+    ".js",
+    ".webp",
+    ".png",
+    ".jpg",
+    ".jpeg",
+    ".gif",
+    ".svg",
+    ".ico",
+    ".xml",
+    ".txt",
+    ".pdf",
+    ".woff2",
+];
+const PRIVATE_PATHS = [
+    "server.js",
+    "package.json",
+    "package-lock.json",
+    "reserved-words.json",
+    "requests.jsonl",
+    "content.json",
+    "portfolio.config.json",
+    "update.sh",
+    "lib",
+    "locales",
+    "data",
+    "templates",
+    "posts",
+    "node_modules",
+    "dist",
+    "test",
+];
+const HASHED_NAME = /\.[0-9a-f]{8}\.\w+$/;
+
+// Dot files and the server's own files, by relative POSIX path. Names are
+// compared without case, which some file systems ignore.
+const isPrivatePath = (file) =>
+    file.split("/").some((segment) => segment.startsWith(".")) ||
+    PRIVATE_PATHS.includes(file.split("/")[0].toLowerCase());
+const SITE_ORIGIN = (
+    process.env.SITE_ORIGIN || "https://floriansylvain.fr"
+).replace(/\/+$/, "");
+const ENVIRONMENT =
+    process.env.NODE_ENV || (DEV ? "development" : "production");
+const DEFAULT_LOCALE = "fr";
+const LOCALES_DIR = "locales";
+const PARTIALS_DIR = "templates/partials";
+const POSTS_DIR = "posts";
+const OFFLINE_PAGE = "offline.html";
+const WEB_MANIFEST = "/manifest.webmanifest";
+const APP_ICON = "/favicon.webp";
+// Inlined in every page by finishPage.
+const INLINED_ASSETS = ["/style.css", "/script.js"];
+const SERVICE_WORKER = "/sw.js";
+const LOCALE_COOKIE = "lang";
+const DATA_DIR = path.join(ROOT, "data");
+const TRUST_PROXY = process.env.TRUST_PROXY === "1";
+const CONTACT_PATH = "/api/contact";
+const CONTACT_MAX_BYTES = 16 * 1024;
+const CONTACT_MIN_SECONDS = 3;
+const CONTACT_TOKEN_COOKIE = "contact_token";
+const CONTACT_TOKEN_MAX_AGE = 24 * 60 * 60;
+// Signs contact form tokens. Without one set, tokens handed out before a
+// restart are refused, and cluster workers get the primary's.
+const CONTACT_SECRET =
+    process.env.CONTACT_SECRET || crypto.randomBytes(32).toString("hex");
+const CONTACT_RATE_LIMIT = { limit: 5, windowMs: 15 * 60 * 1000 };
+const CONTACT_TRANSPORT =
+    process.env.CONTACT_TRANSPORT === "smtp"
+        ? {
+              type: "smtp",
+              host: process.env.SMTP_HOST,
+              port: Number(process.env.SMTP_PORT) || 587,
+              secure: process.env.SMTP_SECURE === "1",
+              user: process.env.SMTP_USER,
+              pass: process.env.SMTP_PASS,
+              from: process.env.CONTACT_FROM,
+              to: process.env.CONTACT_TO,
+          }
+        : {
+              type: process.env.CONTACT_TRANSPORT || "outbox",
+              file:
+                  process.env.CONTACT_OUTBOX ||
+                  path.join(DATA_DIR, "contact-outbox.jsonl"),
+          };
+const BEACON_PATH = "/api/beacon";
+const BEACON_MAX_BYTES = 2048;
+const ANALYTICS_FILE =
+    process.env.ANALYTICS_FILE || path.join(DATA_DIR, "analytics.json");
+const CSP_REPORT_PATH = "/api/csp-report";
+const CSP_REPORT_GROUP = "csp-endpoint";
+const CSP_REPORT_MAX_BYTES = 64 * 1024;
+const CSP_REPORT_TYPES = ["application/csp-report", "application/reports+json"];
+const CSP_REPORT_RATE_LIMIT = { limit: 60, windowMs: 60 * 1000 };
+const CSP_REPORTS_FILE =
+    process.env.CSP_REPORTS_FILE || path.join(DATA_DIR, "csp-reports.jsonl");
+const STATS_PATH = "/admin/stats";
+const STATS_PASSWORD = process.env.STATS_PASSWORD || "";
+// Failed attempts against the statistics page and the metrics endpoint.
+const AUTH_LIMIT = { limit: 10, windowMs: 15 * 60 * 1000 };
+const HEALTH_PATH = "/healthz";
+const READY_PATH = "/readyz";
+const METRICS_PATH = "/metrics";
+const METRICS_PORT = Number(process.env.METRICS_PORT) || 0;
+const METRICS_HOST = process.env.METRICS_HOST || "127.0.0.1";
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+const ROUTES = [
+    CONTACT_PATH,
+    BEACON_PATH,
+    CSP_REPORT_PATH,
+    STATS_PATH,
+    HEALTH_PATH,
+    READY_PATH,
+    METRICS_PATH,
+];
+const METHODS = ["GET", "HEAD", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"];
+const DRAIN_TIMEOUT_MS = 10 * 1000;
+const CLUSTER_WORKERS =
+    process.env.CLUSTER_WORKERS === "auto"
+        ? os.cpus().length
+        : Number(process.env.CLUSTER_WORKERS) || 0;
+const ACCESS_LOG = process.env.ACCESS_LOG !== "0";
+const REQUEST_ID = /^[\w.-]{1,64}$/;
+const TLS_CERT = process.env.TLS_CERT;
+const TLS_KEY = process.env.TLS_KEY;
+const HTTPS_PORT = Number(process.env.HTTPS_PORT) || 3443;
+// Hosts the HTTP to HTTPS redirect keeps: the site's own, loopback names
+// for local testing and the comma-separated aliases of HTTPS_HOSTS.
+const HTTPS_HOSTS = [
+    new URL(SITE_ORIGIN).hostname,
+    "localhost",
+    "127.0.0.1",
+    "[::1]",
+    ...(process.env.HTTPS_HOSTS || "").split(","),
+]
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+const CERT_POLL_MS = 10 * 1000;
+const MEMORY_REPORT_MS = 15 * 1000;
+// Hero assets announced with 103 Early Hints by the pages referencing them.
+const PRELOADED_ASSETS = { "/profile.webp": "image", "/favicon.webp": "image" };
+const DEV_RELOAD_PATH = "/__dev/reload";
+const DEV_RELOAD_CLIENT = `new EventSource("${DEV_RELOAD_PATH}").addEventListener("reload",()=>location.reload());`;
+
+function createLimiters() {
+    return {
+        contact: new RateLimiter(CONTACT_RATE_LIMIT),
+        auth: new RateLimiter(AUTH_LIMIT),
+        report: new RateLimiter(CSP_REPORT_RATE_LIMIT),
+    };
+}
+
+function createMetrics(registry = new Registry()) {
+    registry
+        .gauge("process_start_time_seconds", "Start time of the process")
+        .set({}, Math.floor(Date.now() / 1000 - process.uptime()));
+
+    return {
+        registry,
+        requests: registry.counter(
+            "portfolio_http_requests_total",
+            "HTTP responses by method, status, path and content encoding"
+        ),
+        duration: registry.histogram(
+            "portfolio_http_request_duration_seconds",
+            "Time spent answering HTTP requests, by path"
+        ),
+        compressionSaved: registry.counter(
+            "portfolio_compression_saved_bytes_total",
+            "Bytes not sent thanks to compressed responses, by encoding"
+        ),
+        builds: registry.counter(
+            "portfolio_builds_total",
+            "Builds and rebuilds by result"
+        ),
+        buildDuration: registry.gauge(
+            "portfolio_build_duration_seconds",
+            "Duration of the last build or rebuild"
+        ),
+        cspReports: registry.counter(
+            "portfolio_csp_reports_total",
+            "CSP violation reports by directive and disposition"
+        ),
+        memory: registry.gauge(
+            "process_resident_memory_bytes",
+            "Resident memory size in bytes"
+        ),
+    };
+}
+
+function cookieValue(req, name) {
+    const match = new RegExp(`(?:^|;)\\s*${name}=([^;]*)`).exec(
+        req.headers.cookie || ""
+    );
+    return match ? match[1].trim() : null;
+}
 
 class AssetProcessor {
-    constructor() {
+    constructor({
+        dev = false,
+        contactTransport = CONTACT_TRANSPORT,
+        analytics = new Analytics({ file: ANALYTICS_FILE }),
+        limiters = createLimiters(),
+        metrics = createMetrics(),
+        cspReports = new CSPReportStore({ file: CSP_REPORTS_FILE }),
+    } = {}) {
+        this.dev = dev;
         this.files = new Map();
         this.cspHashes = { scripts: new Set(), styles: new Set() };
         this.reservedWords = this.loadReservedWords();
+        this.reloadClients = new Set();
+        this.manifest = new Map();
+        this.content = null;
+        this.catalogs = new Map();
+        this.locales = [];
+        this.partials = {};
+        this.posts = [];
+        this.config = resolveConfig({}, ENVIRONMENT);
+        this.assets = [];
+        this.isAssetFile = () => false;
+        this.cacheRules = [];
+        this.contactTransport = createTransport(contactTransport);
+        this.analytics = analytics;
+        this.limiters = limiters;
+        this.cspReports = cspReports;
+        this.references = new Map();
+        this.ready = false;
+        this.draining = false;
+        this.metrics = metrics;
+        this.fallbackCache = new LRUCache({
+            maxSize: FALLBACK_CACHE_SIZE,
+            sizeOf: (entry) =>
+                entry.body.length +
+                (entry.br ? entry.br.length : 0) +
+                (entry.gz ? entry.gz.length : 0),
+        });
+    }
+
+    // Takes over what must outlive a reload from the processor being replaced.
+    adopt(previous) {
+        [
+            "analytics",
+            "limiters",
+            "contactTransport",
+            "cspReports",
+            "metrics",
+        ].forEach((key) => {
+            this[key] = previous[key];
+        });
     }
 
     loadReservedWords() {
@@ -73,26 +433,40 @@ class AssetProcessor {
         return result;
     }
 
+    // Browsers hash the exact text of an element, whitespace included.
     extractCSPHashes(html) {
-        this.cspHashes.scripts.clear();
-        this.cspHashes.styles.clear();
+        const inline = (pattern) =>
+            Array.from(html.matchAll(pattern), (match) => match[1]).filter(
+                (content) => content.trim()
+            );
+
+        inline(/<script(?![^>]*src=)[^>]*>([\s\S]*?)<\/script>/gi).forEach(
+            (content) => this.cspHashes.scripts.add(this.hash(content))
+        );
+        inline(/<style[^>]*>([\s\S]*?)<\/style>/gi).forEach((content) =>
+            this.cspHashes.styles.add(this.hash(content))
+        );
+    }
 
-        (
-            html.match(/<script(?![^>]*src=)[^>]*>([\s\S]*?)<\/script>/gi) || []
-        ).forEach((match) => {
-            const content = match.replace(/<\/?script[^>]*>/gi, "").trim();
-            if (content) this.cspHashes.scripts.add(this.hash(content));
+    // Sources extend a directive, replacing a lone 'none'.
+    addCSPSources(directives, extra) {
+        Object.entries(extra).forEach(([name, sources]) => {
+            directives[name] = [
+                ...(directives[name] || []).filter(
+                    (source) => source !== "'none'"
+                ),
+                ...sources,
+            ];
         });
+    }
 
-        (html.match(/<style[^>]*>([\s\S]*?)<\/style>/gi) || []).forEach(
-            (match) => {
-                const content = match.replace(/<\/?style[^>]*>/gi, "").trim();
-                if (content) this.cspHashes.styles.add(this.hash(content));
-            }
-        );
+    reportURI() {
+        return this.config.cspReports === undefined
+            ? CSP_REPORT_PATH
+            : this.config.cspReports;
     }
 
-    generateCSP() {
+    cspDirectives() {
         const scriptHashes = Array.from(this.cspHashes.scripts).map(
             (h) => `'sha256-${h}'`
         );
@@ -100,88 +474,78 @@ class AssetProcessor {
             (h) => `'sha256-${h}'`
         );
 
-        const scriptSrc = `'self'${
-            scriptHashes.length ? " " + scriptHashes.join(" ") : ""
-        }`;
-        const styleSrc = `'self'${
-            styleHashes.length
-                ? " " + styleHashes.join(" ")
-                : " 'unsafe-inline'"
-        }`;
+        const scriptSrc = ["'self'", ...scriptHashes];
+        const styleSrc = [
+            "'self'",
+            ...(styleHashes.length ? styleHashes : ["'unsafe-inline'"]),
+        ];
+
+        const directives = {
+            "default-src": ["'self'"],
+            "script-src": scriptSrc,
+            "script-src-elem": scriptSrc,
+            "style-src": styleSrc,
+            "style-src-elem": styleSrc,
+            "img-src": ["'self'", "https:", "data:"],
+            "font-src": ["'self'"],
+            "connect-src": ["'self'"],
+            "media-src": ["'self'", "data:"],
+            "object-src": ["'none'"],
+            "child-src": ["'none'"],
+            "worker-src": this.files.has(SERVICE_WORKER)
+                ? ["'self'"]
+                : ["'none'"],
+            "frame-ancestors": ["'none'"],
+            "form-action": ["'self'"],
+            "base-uri": ["'self'"],
+            "manifest-src": ["'self'"],
+            "upgrade-insecure-requests": [],
+        };
 
-        return [
-            "default-src 'self'",
-            `script-src ${scriptSrc}`,
-            `script-src-elem ${scriptSrc}`,
-            `style-src ${styleSrc}`,
-            `style-src-elem ${styleSrc}`,
-            "img-src 'self' https: data:",
-            "font-src 'self'",
-            "connect-src 'self'",
-            "media-src 'self' data:",
-            "object-src 'none'",
-            "child-src 'none'",
-            "worker-src 'none'",
-            "frame-ancestors 'none'",
-            "form-action 'self'",
-            "base-uri 'self'",
-            "manifest-src 'self'",
-            "upgrade-insecure-requests",
-        ].join("; ");
-    }
-
-    minifyCSS(src) {
-        return src
-            .replace(/\/\*[\s\S]*?\*\//g, "")
-            .replace(/\s+/g, " ")
-            .replace(/\s*([{}:;,>+~\(\)\[\]'"*\/])\s*/g, "$1")
-            .replace(/;}/g, "}")
-            .replace(/\b0+(px|em|rem|vh|vw|%|s|ms)\b/g, "0")
-            .replace(
-                /#([0-9a-fA-F])\1([0-9a-fA-F])\2([0-9a-fA-F])\3\b/g,
-                "#$1$2$3"
-            )
-            .replace(
-                /rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)/g,
-                (m, r, g, b) => {
-                    const hex = (n) =>
-                        parseInt(n).toString(16).padStart(2, "0");
-                    return `#${hex(r)}${hex(g)}${hex(b)}`;
-                }
-            )
-            .replace(/,\s+/g, ",")
-            .replace(/:\s+/g, ":")
-            .replace(/;\s+/g, ";")
-            .replace(/\{\s+/g, "{")
-            .replace(/\s+\}/g, "}")
-            .replace(/\r?\n/g, "")
-            .trim();
+        this.addCSPSources(directives, this.config.csp);
+        return directives;
+    }
+
+    serializeCSP(directives) {
+        const reportURI = this.reportURI();
+        const reporting = reportURI
+            ? { "report-uri": [reportURI], "report-to": [CSP_REPORT_GROUP] }
+            : {};
+        return Object.entries({ ...directives, ...reporting })
+            .map(([name, sources]) => [name, ...sources].join(" "))
+            .join("; ");
+    }
+
+    generateCSP() {
+        return this.serializeCSP(this.cspDirectives());
+    }
+
+    generateReportOnlyCSP() {
+        const trial = this.config.cspReportOnly;
+        if (!trial) return null;
+
+        const directives = this.cspDirectives();
+        Object.entries(trial.remove || {}).forEach(([name, sources]) => {
+            if (directives[name])
+                directives[name] = directives[name].filter(
+                    (source) => !sources.includes(source)
+                );
+        });
+        this.addCSPSources(directives, trial.add || {});
+        // Browsers ignore it in report-only policies, with a warning.
+        delete directives["upgrade-insecure-requests"];
+        return this.serializeCSP(directives);
+    }
+
+    minifyCSS(src, options) {
+        return minifyCSS(src, options);
     }
 
     minifyHTML(src) {
-        return src
-            .replace(/<!--(?!\[if)[\s\S]*?-->/g, "")
-            .replace(/>\s+</g, (match, offset, string) => {
-                const before = string.substring(0, offset + 1);
-                const after = string.substring(offset + match.length - 1);
-                if (/span[^>]*>\s*$/.test(before) && /^\s*<span/.test(after)) {
-                    return "> <";
-                }
-                return "><";
-            })
-            .replace(/>\s+([^<]+?)\s+</g, ">$1<")
-            .replace(/<style[^>]*>([\s\S]*?)<\/style>/gi, (m, css) =>
-                m.replace(css, this.minifyCSS(css))
-            )
-            .replace(/\s+([\w-]+)=["']([^"'\s<>]+)["']/g, (m, attr, val) =>
-                /^[a-zA-Z0-9._:/-]+$/.test(val) ? ` ${attr}=${val}` : m
-            )
-            .replace(/\s*=\s*/g, "=")
-            .replace(/\s+>/g, ">")
-            .replace(/\s{2,}/g, " ")
-            .replace(/\s+type=["']text\/(javascript|css)["']/g, "")
-            .replace(/\r?\n/g, "")
-            .trim();
+        return minifyHTML(src, {
+            minifyCSS: (css) => this.minifyCSS(css),
+            minifyJS: (js) => this.minifyJS(js),
+        });
     }
 
     generateObfuscatedName(index) {
@@ -201,346 +565,2331 @@ class AssetProcessor {
         return result;
     }
 
-    obfuscateJS(src) {
-        let out = src;
-        const preserveStrings = [];
-        const preserveRegex = [];
-        const preserveTemplates = [];
-        let stringIndex = 0;
-        let regexIndex = 0;
-        let templateIndex = 0;
-
-        out = out.replace(/`((?:\\.|[^`\\])*)`/g, (match) => {
-            const placeholder = `__TEMPLATE_${templateIndex++}__`;
-            preserveTemplates.push({ placeholder, original: match });
-            return placeholder;
+    minifyJS(src) {
+        return mangle(src, {
+            generateName: this.generateObfuscatedName.bind(this),
+            reserved: this.reservedWords,
+            compact: true,
         });
+    }
 
-        out = out.replace(/(["'])((?:\\.|(?!\1)[^\\])*?)\1/g, (match) => {
-            const placeholder = `__STRING_${stringIndex++}__`;
-            preserveStrings.push({ placeholder, original: match });
-            return placeholder;
-        });
+    getContentType(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        const types = { ...MIME_TYPES, ...this.config.mimeTypes };
+        return types[ext] || "application/octet-stream";
+    }
 
-        out = out.replace(
-            /\/(?![\/\*])([^\/\\\n]|\\.)*\/[gimuy]*/g,
-            (match) => {
-                const placeholder = `__REGEX_${regexIndex++}__`;
-                preserveRegex.push({ placeholder, original: match });
-                return placeholder;
-            }
+    getCacheControl(urlPath) {
+        if (this.dev) return "no-cache";
+        const hashed = HASHED_NAME.test(urlPath);
+        const rule = this.cacheRules.find(
+            (rule) =>
+                (rule.hashed === undefined || rule.hashed === hashed) &&
+                rule.matches(urlPath.replace(/^\//, ""))
         );
+        return rule ? rule.cacheControl : DEFAULT_CACHE_CONTROL;
+    }
 
-        const identifiers = new Set();
+    fingerprint(urlPath, body) {
+        const ext = path.posix.extname(urlPath);
+        const digest = crypto
+            .createHash("sha256")
+            .update(body)
+            .digest("hex")
+            .slice(0, 8);
+        return `${urlPath.slice(0, -ext.length)}.${digest}${ext}`;
+    }
 
-        const identifierRegex = /\b[a-zA-Z_$][a-zA-Z0-9_$]*\b/g;
-        let match;
-        while ((match = identifierRegex.exec(out)) !== null) {
-            const identifier = match[0];
-            if (
-                !this.reservedWords.has(identifier) &&
-                !identifier.startsWith("__")
-            ) {
-                identifiers.add(identifier);
-            }
+    // The fingerprinted URL of `url` if it names an asset, as written: with
+    // or without a leading slash, a query or a fragment.
+    rewriteAssetUrl(url) {
+        const [, slash, name, suffix] = /^(\/?)([^?#]*)(.*)$/s.exec(url);
+        const hashedPath = this.manifest.get(`/${name}`);
+        return hashedPath ? slash + hashedPath.slice(1) + suffix : url;
+    }
+
+    rewriteAssetUrls(html) {
+        return rewriteHTMLUrls(html, (url) => this.rewriteAssetUrl(url));
+    }
+
+    async loadContent() {
+        let content;
+        try {
+            const data = await fs.promises.readFile(
+                path.join(ROOT, "content.json"),
+                "utf8"
+            );
+            content = JSON.parse(data);
+        } catch (error) {
+            throw new SchemaError("content.json", [error.message]);
         }
 
-        const obfuscationMap = new Map();
-        let nameIndex = 0;
+        const problems = validate(content, CONTENT_SCHEMA);
+        if (problems.length) throw new SchemaError("content.json", problems);
+        return content;
+    }
 
-        Array.from(identifiers)
-            .sort()
-            .forEach((identifier) => {
-                obfuscationMap.set(
-                    identifier,
-                    this.generateObfuscatedName(nameIndex++)
-                );
-            });
+    // Reads portfolio.config.json, applies the overrides of the current
+    // environment and expands the asset globs.
+    async loadConfig() {
+        const source = path.relative(ROOT, CONFIG_FILE);
+        let config;
+        try {
+            config = JSON.parse(
+                await fs.promises.readFile(CONFIG_FILE, "utf8")
+            );
+        } catch (error) {
+            throw new SchemaError(source, [error.message]);
+        }
 
-        obfuscationMap.forEach((obfuscated, original) => {
-            const patterns = [
-                new RegExp(
-                    `\\b(const|let|var)\\s+${original.replace(
-                        /[.*+?^${}()|[\]\\]/g,
-                        "\\$&"
-                    )}\\b`,
-                    "g"
-                ),
-                new RegExp(
-                    `\\bfunction\\s+${original.replace(
-                        /[.*+?^${}()|[\]\\]/g,
-                        "\\$&"
-                    )}\\b`,
-                    "g"
-                ),
-                new RegExp(
-                    `\\(([^)]*\\b)${original.replace(
-                        /[.*+?^${}()|[\]\\]/g,
-                        "\\$&"
-                    )}\\b([^)]*)\\)`,
-                    "g"
-                ),
-                new RegExp(
-                    `\\.${original.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`,
-                    "g"
-                ),
-                new RegExp(
-                    `(?<!for\\s*\\([^)]*\\s)\\b${original.replace(
-                        /[.*+?^${}()|[\]\\]/g,
-                        "\\$&"
-                    )}(?!\\s+of\\b)\\b`,
-                    "g"
-                ),
-            ];
+        const problems = validate(config, CONFIG_SCHEMA);
+        if (problems.length) throw new SchemaError(source, problems);
+        config = resolveConfig(config, ENVIRONMENT);
+
+        Object.keys(config.headers)
+            .filter((name) => name.toLowerCase() === "content-security-policy")
+            .forEach((name) =>
+                problems.push(`headers.${name}: use "csp" to add sources`)
+            );
 
-            patterns.forEach((pattern) => {
-                out = out.replace(pattern, (match) => {
-                    return match.replace(
-                        new RegExp(
-                            `\\b${original.replace(
-                                /[.*+?^${}()|[\]\\]/g,
-                                "\\$&"
-                            )}\\b`,
-                            "g"
-                        ),
-                        obfuscated
+        const claimed = new Map();
+        const assets = [];
+        for (const [i, rule] of config.assets.entries()) {
+            const files = await expandGlobs(ROOT, rule.files, isPrivatePath);
+            if (!files.length)
+                console.warn(`${source}: assets[${i}] matches no file`);
+            files.forEach((file) => {
+                if (claimed.has(file))
+                    problems.push(
+                        `assets[${i}]: ${file} is already matched by assets[${claimed.get(
+                            file
+                        )}]`
                     );
+                claimed.set(file, i);
+                assets.push({
+                    file,
+                    processor: rule.processor,
+                    fingerprint: rule.fingerprint !== false,
                 });
             });
-        });
+        }
+        if (problems.length) throw new SchemaError(source, problems);
 
-        preserveTemplates.forEach(({ placeholder, original }) => {
-            out = out.replace(placeholder, original);
-        });
+        this.config = config;
+        this.assets = assets;
+        this.isAssetFile = createMatcher(
+            config.assets.flatMap(({ files }) => files)
+        );
+        this.cacheRules = config.cache.map(
+            ({ files, hashed, cacheControl }) => ({
+                matches:
+                    files === undefined ? () => true : createMatcher(files),
+                hashed,
+                cacheControl,
+            })
+        );
+    }
 
-        preserveRegex.forEach(({ placeholder, original }) => {
-            out = out.replace(placeholder, original);
-        });
+    // Every locales/<code>.json catalog yields one page; the default locale
+    // is the reference other catalogs fall back on.
+    async loadCatalogs() {
+        const dir = path.join(ROOT, LOCALES_DIR);
+        const files = (await fs.promises.readdir(dir).catch(() => []))
+            .filter((file) => path.extname(file) === ".json")
+            .sort();
+
+        const flattened = new Map();
+        for (const file of files) {
+            const source = `${LOCALES_DIR}/${file}`;
+            let catalog;
+            try {
+                catalog = JSON.parse(
+                    await fs.promises.readFile(path.join(dir, file), "utf8")
+                );
+            } catch (error) {
+                throw new SchemaError(source, [error.message]);
+            }
 
-        preserveStrings.forEach(({ placeholder, original }) => {
-            out = out.replace(placeholder, original);
-        });
+            const { keys, problems } = flattenCatalog(catalog);
+            if (problems.length) throw new SchemaError(source, problems);
+            flattened.set(path.basename(file, ".json"), keys);
+        }
+
+        if (!flattened.has(DEFAULT_LOCALE))
+            throw new SchemaError(`${LOCALES_DIR}/${DEFAULT_LOCALE}.json`, [
+                "default locale catalog not found",
+            ]);
 
-        return out;
+        const catalogs = new Map();
+        const fallback = flattened.get(DEFAULT_LOCALE);
+        [
+            DEFAULT_LOCALE,
+            ...Array.from(flattened.keys()).filter(
+                (locale) => locale !== DEFAULT_LOCALE
+            ),
+        ].forEach((locale) =>
+            catalogs.set(
+                locale,
+                resolveCatalog(flattened.get(locale), fallback)
+            )
+        );
+        return catalogs;
+    }
+
+    async loadTranslations() {
+        this.content = await this.loadContent();
+        this.catalogs = await this.loadCatalogs();
+        this.locales = Array.from(this.catalogs.keys());
+        this.reportMissingTranslations();
+    }
+
+    // Templates can include templates/partials/<name>.html as {{> name}}.
+    async loadPartials() {
+        const dir = path.join(ROOT, PARTIALS_DIR);
+        const names = fs.existsSync(dir)
+            ? (await fs.promises.readdir(dir)).filter((name) =>
+                  name.endsWith(".html")
+              )
+            : [];
+        const partials = {};
+        for (const name of names)
+            partials[name.slice(0, -".html".length)] =
+                await fs.promises.readFile(path.join(dir, name), "utf8");
+        return partials;
     }
-    minifyJS(src) {
-        let out = src;
-        const preserveStrings = [];
-        let stringIndex = 0;
-
-        out = out.replace(/(["'`])((?:\\.|(?!\1)[^\\])*?)\1/g, (match) => {
-            const placeholder = `__STRING_${stringIndex++}__`;
-            preserveStrings.push({ placeholder, original: match });
-            return placeholder;
-        });
 
-        out = out.replace(/\/\*[\s\S]*?\*\//g, "").replace(/\/\/.*$/gm, "");
+    partialFiles() {
+        return Object.keys(this.partials).map(
+            (name) => `${PARTIALS_DIR}/${name}.html`
+        );
+    }
 
-        out = out
-            .replace(/\s+/g, " ")
-            .replace(/\s*([=;:,{}()<>+\-*\/\?|&!])\s*/g, "$1")
-            .replace(/;}/g, "}")
-            .trim();
+    // Reads the Markdown posts, newest first. Drafts are only published in
+    // dev, so that they can be previewed.
+    loadPosts() {
+        return loadPosts({
+            root: ROOT,
+            dir: POSTS_DIR,
+            locales: this.locales,
+            defaultLocale: DEFAULT_LOCALE,
+            drafts: this.dev,
+        });
+    }
 
-        preserveStrings.forEach(({ placeholder, original }) => {
-            out = out.replace(placeholder, original);
+    reportMissingTranslations() {
+        const report = this.locales.flatMap((locale) => {
+            const { missing, unknown } = this.catalogs.get(locale);
+            const content = [];
+            localize(
+                this.content,
+                CONTENT_SCHEMA,
+                locale,
+                DEFAULT_LOCALE,
+                content
+            );
+            return [
+                ...missing.map((key) => `${locale}: missing key "${key}"`),
+                ...unknown.map((key) => `${locale}: unknown key "${key}"`),
+                ...content.map(
+                    (field) => `${locale}: content.json ${field} not translated`
+                ),
+            ];
         });
 
-        out = this.obfuscateJS(out);
+        if (report.length)
+            console.warn(
+                `Missing translations:\n${report
+                    .map((line) => `  - ${line}`)
+                    .join("\n")}`
+            );
+    }
 
-        return out;
+    localePath(locale) {
+        return locale === DEFAULT_LOCALE ? "/" : `/${locale}/`;
     }
 
-    getContentType(filePath) {
-        const ext = path.extname(filePath).toLowerCase();
-        const types = {
-            ".html": "text/html; charset=utf-8",
-            ".css": "text/css; charset=utf-8",
-            ".js": "application/javascript; charset=utf-8",
-            ".webp": "image/webp",
-            ".xml": "application/xml; charset=utf-8",
-            ".txt": "text/plain; charset=utf-8",
+    localeUrl(locale) {
+        return SITE_ORIGIN + this.localePath(locale);
+    }
+
+    // hreflang alternates of a page, x-default pointing at the default locale.
+    localeAlternates() {
+        return [
+            ...this.locales.map((locale) => ({
+                hreflang: locale,
+                url: this.localeUrl(locale),
+            })),
+            { hreflang: "x-default", url: this.localeUrl(DEFAULT_LOCALE) },
+        ];
+    }
+
+    formatPeriod({ start, end }, t) {
+        if (!start.includes("-")) return `${start} - ${end}`;
+
+        const [startYear, startMonth] = start.split("-").map(Number);
+        const month = (year, m) => `${t.monthNames[m - 1]} ${year}`;
+        if (!end) return `${t.since} ${month(startYear, startMonth)}`;
+
+        const [endYear, endMonth] = end.split("-").map(Number);
+        const total = (endYear - startYear) * 12 + endMonth - startMonth + 1;
+        const years = Math.floor(total / 12);
+        const months = total % 12;
+        const duration = [
+            years && `${years} ${years > 1 ? t.years : t.year}`,
+            months && `${months} ${months > 1 ? t.months : t.month}`,
+        ]
+            .filter(Boolean)
+            .join(" ");
+
+        return `${month(startYear, startMonth)} - ${month(
+            endYear,
+            endMonth
+        )} (${duration})`;
+    }
+
+    templateFilters(t) {
+        return {
+            period: (item) => this.formatPeriod(item, t.period),
+            inline: (text) =>
+                new SafeString(
+                    escapeHTML(text).replace(
+                        /\*\*(.+?)\*\*/g,
+                        "<strong>$1</strong>"
+                    )
+                ),
+            words: (text) =>
+                new SafeString(
+                    text
+                        .split(/\s+/)
+                        .map((word) => `<span>${escapeHTML(word)}</span>`)
+                        .join("\n")
+                ),
         };
-        return types[ext] || "application/octet-stream";
     }
 
-    getCacheControl(filePath) {
-        const ext = path.extname(filePath).toLowerCase();
-        if (ext === ".html") return "no-cache";
-        if ([".css", ".js", ".webp"].includes(ext))
-            return "public, max-age=31536000, immutable";
-        return "public, max-age=3600";
+    // Skill tags filter the experience and projects mentioning them. Ids
+    // come from the default locale, so shared ?skills= links work in every
+    // language; tags mentioned nowhere get none.
+    linkSkills(content) {
+        const ids = localize(
+            this.content,
+            CONTENT_SCHEMA,
+            DEFAULT_LOCALE,
+            DEFAULT_LOCALE
+        ).skills.map(({ tags }) => tags.map(skillId));
+        const labels = content.skills.flatMap(({ tags }) => tags);
+        const used = new Set();
+        const skillsOf = (texts) => {
+            const found = ids
+                .flat()
+                .filter((id, i) => mentions(texts, labels[i]));
+            found.forEach((id) => used.add(id));
+            return found.join(" ");
+        };
+
+        const experience = content.experience.map((item) => ({
+            ...item,
+            skills: skillsOf([
+                item.role,
+                item.organization,
+                ...item.highlights,
+            ]),
+        }));
+        const projects = content.projects.map((project) => ({
+            ...project,
+            skills: skillsOf([
+                project.name,
+                project.description,
+                ...project.tags,
+            ]),
+        }));
+        const skills = content.skills.map((group, g) => ({
+            ...group,
+            tags: group.tags.map((label, i) => ({
+                label,
+                skill: used.has(ids[g][i]) ? ids[g][i] : null,
+            })),
+        }));
+        return { ...content, skills, experience, projects };
     }
 
-    async processFile(relPath, minifier = null) {
-        const absPath = path.join(ROOT, relPath);
-        const content = await fs.promises.readFile(absPath);
-        const stats = await fs.promises.stat(absPath);
+    pageData(locale) {
+        const t = this.catalogs.get(locale).catalog;
+        return {
+            ...this.linkSkills(
+                localize(this.content, CONTENT_SCHEMA, locale, DEFAULT_LOCALE)
+            ),
+            t,
+            locale,
+            homePath: "",
+            blogPath: this.posts.length ? BLOG_PATH : null,
+            blogCurrent: null,
+            cvPath: `${this.localePath(locale)}cv.pdf`,
+            otherLanguages: this.locales
+                .filter((other) => other !== locale)
+                .map((other) => ({
+                    locale: other,
+                    label: this.catalogs.get(other).catalog.language.switch,
+                    switchPath: `${this.localePath(
+                        other
+                    )}?${LOCALE_COOKIE}=${other}`,
+                })),
+        };
+    }
 
-        let processedContent = content;
+    // Commit dates survive checkouts and deploys, unlike mtimes, which only
+    // describe the working copy: they are kept for uncommitted sources.
+    async sourceDate(files) {
+        const git = (...args) =>
+            new Promise((resolve) =>
+                execFile("git", args, { cwd: ROOT }, (error, stdout) =>
+                    resolve(error ? null : stdout.trim())
+                )
+            );
+        const [committed, status] = await Promise.all([
+            git("log", "-1", "--format=%ct", "--", ...files),
+            git("status", "--porcelain", "--", ...files),
+        ]);
+        if (committed && status === "") return Number(committed) * 1000;
+        return this.latestMtime(files);
+    }
 
-        if (relPath === "index.html") {
-            let htmlContent = content.toString("utf8");
-
-            const cssPath = path.join(ROOT, "style.css");
-            if (fs.existsSync(cssPath)) {
-                const cssContent = await fs.promises.readFile(cssPath, "utf8");
-                htmlContent = htmlContent.replace(
-                    /<link[^>]*href=["']style\.css["'][^>]*>/gi,
-                    `<style>${this.minifyCSS(cssContent)}</style>`
+    async generateSitemap() {
+        const tasks = this.getBuildTasks();
+        // Offline pages are only for the service worker to show.
+        const pages = this.pages()
+            .filter(
+                ({ path: urlPath }) => !urlPath.endsWith(`/${OFFLINE_PAGE}`)
+            )
+            .sort((a, b) => a.path.localeCompare(b.path));
+        const urls = await Promise.all(
+            pages.map(async (page) => {
+                const task = tasks.find(
+                    ({ file, output = file }) => `/${output}` === page.path
                 );
-            }
+                const sources = task
+                    ? [task.file, ...(task.dependencies || [])].filter(Boolean)
+                    : [];
+                const date = sources.length
+                    ? await this.sourceDate(sources)
+                    : page.mtimeMs;
+                const alternates =
+                    task && task.locale ? this.localeAlternates() : [];
+
+                return [
+                    "  <url>",
+                    `    <loc>${escapeHTML(
+                        SITE_ORIGIN + page.path.replace(/index\.html$/, "")
+                    )}</loc>`,
+                    `    <lastmod>${new Date(date)
+                        .toISOString()
+                        .replace(/\.\d{3}Z$/, "+00:00")}</lastmod>`,
+                    ...alternates.map(
+                        ({ hreflang, url }) =>
+                            `    <xhtml:link rel="alternate" hreflang="${hreflang}" href="${escapeHTML(
+                                url
+                            )}" />`
+                    ),
+                    "  </url>",
+                ].join("\n");
+            })
+        );
 
-            const jsPath = path.join(ROOT, "script.js");
-            if (fs.existsSync(jsPath)) {
-                const jsContent = await fs.promises.readFile(jsPath, "utf8");
-                htmlContent = htmlContent.replace(
-                    /<script[^>]*src=["']script\.js["'][^>]*><\/script>/gi,
-                    `<script>${this.minifyJS(jsContent)}</script>`
-                );
-            }
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            "<urlset",
+            '  xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"',
+            '  xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+            ...urls,
+            "</urlset>",
+            "",
+        ].join("\n");
+    }
 
-            if (minifier) htmlContent = minifier(htmlContent);
-            this.extractCSPHashes(htmlContent);
-            processedContent = Buffer.from(htmlContent, "utf8");
-        } else if (minifier) {
-            processedContent = Buffer.from(
-                minifier(content.toString("utf8")),
-                "utf8"
-            );
-        }
+    // Anything but production (staging, previews, --dev) stays unindexed.
+    generateRobots() {
+        if (ENVIRONMENT !== "production")
+            return ["User-agent: *", "Disallow: /", ""].join("\n");
+
+        return [
+            "User-agent: *",
+            "Disallow:",
+            "",
+            `Sitemap: ${SITE_ORIGIN}/sitemap.xml`,
+            "",
+        ].join("\n");
+    }
 
-        const compressed = await this.compress(processedContent);
+    // The PDF CV is laid out from the page content, so the two stay in sync.
+    generateCV(locale) {
+        const data = this.pageData(locale);
+        return generateCV(data, {
+            locale,
+            url: this.localeUrl(locale),
+            period: (item) => this.formatPeriod(item, data.t.period),
+        });
+    }
 
+    // What the partials need on pages other than the home page, whose
+    // navigation leads back to the sections of the home page.
+    subpageData(locale) {
         return {
-            path: "/" + relPath.replace(/\\/g, "/"),
-            mtimeMs: stats.mtimeMs,
-            type: this.getContentType(relPath),
-            cache: this.getCacheControl(relPath),
-            body: processedContent,
-            etag: this.etag(processedContent),
-            br: compressed.br,
-            brEtag: compressed.br ? this.etag(compressed.br) : undefined,
-            gz: compressed.gz,
-            gzEtag: compressed.gz ? this.etag(compressed.gz) : undefined,
+            t: this.catalogs.get(locale).catalog,
+            locale,
+            profile: { name: this.content.profile.name },
+            homePath: this.localePath(locale),
+            blogPath: this.posts.length ? BLOG_PATH : null,
+            blogCurrent: null,
+            otherLanguages: [],
         };
     }
 
-    async build() {
-        console.log("Building assets...");
-
-        const tasks = [
-            { file: "index.html", minifier: this.minifyHTML.bind(this) },
-            { file: "style.css", minifier: this.minifyCSS.bind(this) },
-            { file: "script.js", minifier: this.minifyJS.bind(this) },
-            { file: "favicon.webp" },
-            { file: "profile.webp" },
-            { file: "robots.txt" },
-            { file: "sitemap.xml" },
-        ];
-
-        await Promise.allSettled(
-            tasks.map(async ({ file, minifier }) => {
-                if (fs.existsSync(path.join(ROOT, file))) {
-                    const entry = await this.processFile(file, minifier);
-                    this.files.set(entry.path, entry);
-                    return `${file}: processed`;
-                }
-                return `${file}: skipped`;
-            })
+    async renderSubpage(relPath, data) {
+        const template = await fs.promises.readFile(
+            path.join(ROOT, relPath),
+            "utf8"
         );
+        return this.finishPage(
+            this.renderTemplate(relPath, template, data),
+            this.minifyHTML.bind(this)
+        );
+    }
 
-        this.files.set("__csp__", this.generateCSP());
-        console.log("Build complete");
+    renderPost(post) {
+        return this.renderSubpage("templates/post.html", {
+            ...this.subpageData(post.lang),
+            blogCurrent: "true",
+            url: SITE_ORIGIN + post.path,
+            post: postData(post),
+        });
     }
 
-    setSecurityHeaders(res) {
-        const headers = {
-            "X-Content-Type-Options": "nosniff",
-            "X-Frame-Options": "DENY",
-            "X-XSS-Protection": "1; mode=block",
-            "Referrer-Policy": "strict-origin-when-cross-origin",
-            "Strict-Transport-Security":
-                "max-age=31536000; includeSubDomains; preload",
-            "Permissions-Policy":
-                "geolocation=(), microphone=(), camera=(), payment=(), usb=(), magnetometer=(), gyroscope=(), speaker=()",
-            "Content-Security-Policy": this.files.get("__csp__"),
+    // The list of all posts, or of those tagged `tag`.
+    renderBlogIndex(tag = null) {
+        const data = this.subpageData(DEFAULT_LOCALE);
+        return this.renderSubpage("templates/blog.html", {
+            ...data,
+            ...indexData(this.posts, tag, DEFAULT_LOCALE),
+            blogCurrent: tag ? "true" : "page",
+            url: SITE_ORIGIN + (tag ? tag.path : BLOG_PATH),
+            heading: tag
+                ? data.t.blog.tagged.replace("{tag}", tag.name)
+                : data.t.blog.title,
+            description: data.t.blog.description,
+        });
+    }
+
+    feedChannel() {
+        const { blog } = this.catalogs.get(DEFAULT_LOCALE).catalog;
+        return {
+            title: `${this.content.profile.name} - ${blog.title}`,
+            description: blog.description,
+            url: SITE_ORIGIN + BLOG_PATH,
+            language: DEFAULT_LOCALE,
+            author: this.content.profile.name,
+            content: (post) =>
+                absoluteLinks(
+                    this.rewriteAssetUrls(post.html),
+                    SITE_ORIGIN + post.path
+                ),
         };
+    }
 
-        Object.entries(headers).forEach(([key, value]) => {
-            if (value) res.setHeader(key, value);
+    // Shown by the service worker for pages it does not have offline.
+    renderOffline(locale) {
+        return this.renderSubpage(
+            "templates/offline.html",
+            this.subpageData(locale)
+        );
+    }
+
+    generateWebManifest() {
+        const { profile } = localize(
+            this.content,
+            CONTENT_SCHEMA,
+            DEFAULT_LOCALE,
+            DEFAULT_LOCALE
+        );
+        const page = this.files.get(
+            `${this.localePath(DEFAULT_LOCALE)}index.html`
+        );
+        const icon = this.files.get(APP_ICON);
+
+        return webManifest({
+            name: this.catalogs.get(DEFAULT_LOCALE).catalog.meta.title,
+            shortName: profile.name,
+            description: profile.summary,
+            lang: DEFAULT_LOCALE,
+            color: page && themeColor(page.body.toString("utf8")),
+            icon: icon && {
+                src: this.manifest.get(APP_ICON) || APP_ICON,
+                type: icon.type,
+                body: icon.body,
+            },
         });
     }
 
-    serveFile(req, res, entry) {
-        this.setSecurityHeaders(res);
-        res.setHeader("Content-Type", entry.type);
-        res.setHeader("Cache-Control", entry.cache);
-        res.setHeader("Vary", "Accept-Encoding");
+    // Precaches the pages, the web manifest and the files they reference.
+    generateServiceWorker() {
+        const { version, files } = precache(
+            this.entries().filter(
+                ({ path: urlPath }) => urlPath !== SERVICE_WORKER
+            ),
+            [...this.pages().map(({ path: urlPath }) => urlPath), WEB_MANIFEST]
+        );
+        const offlinePages = this.locales
+            .map((locale) => this.localePath(locale))
+            .sort((a, b) => b.length - a.length)
+            .map((prefix) => [prefix, `${prefix}${OFFLINE_PAGE}`]);
 
-        const acceptEncoding = req.headers["accept-encoding"] || "";
-        let { body, etag: tag } = entry;
+        return serviceWorker({ version, files, offlinePages });
+    }
 
-        if (/\bbr\b/.test(acceptEncoding) && entry.br) {
-            body = entry.br;
-            tag = entry.brEtag;
-            res.setHeader("Content-Encoding", "br");
-        } else if (/\bgzip\b/.test(acceptEncoding) && entry.gz) {
-            body = entry.gz;
-            tag = entry.gzEtag;
-            res.setHeader("Content-Encoding", "gzip");
+    renderTemplate(relPath, src, data, filters = {}) {
+        try {
+            return render(src, data, { filters, partials: this.partials });
+        } catch (error) {
+            error.message = `${relPath}: ${error.message}`;
+            throw error;
         }
+    }
 
-        res.setHeader("ETag", tag);
+    injectLocaleLinks(html, locale) {
+        const links = [
+            `<link rel="canonical" href="${this.localeUrl(locale)}" />`,
+            ...this.localeAlternates().map(
+                ({ hreflang, url }) =>
+                    `<link rel="alternate" hreflang="${hreflang}" href="${url}" />`
+            ),
+        ];
 
-        if (req.headers["if-none-match"] === tag) {
-            res.statusCode = 304;
-            return res.end();
-        }
+        return html
+            .replace(/<html\b([^>]*)>/i, (match, attrs) => {
+                const rest = attrs.replace(
+                    /\s+lang=("[^"]*"|'[^']*'|\S+)/i,
+                    ""
+                );
+                return `<html lang="${locale}"${rest}>`;
+            })
+            .replace(/<\/head>/i, `${links.join("")}</head>`);
+    }
 
-        res.statusCode = 200;
-        res.end(body);
+    preloadLinks(html) {
+        return Object.entries(PRELOADED_ASSETS)
+            .map(([urlPath, type]) => [this.manifest.get(urlPath), type])
+            .filter(([hashedPath]) => hashedPath && html.includes(hashedPath))
+            .map(
+                ([hashedPath, type]) =>
+                    `<${hashedPath}>; rel=preload; as=${type}`
+            );
     }
 
-    handleRequest(req, res) {
-        const url = new URL(req.url, `http://${req.headers.host}`);
-        let pathname = url.pathname === "/" ? "/index.html" : url.pathname;
+    async createEntry(urlPath, body, mtimeMs) {
+        const compressed = await this.compress(body);
 
-        const entry = this.files.get(pathname);
-        if (entry) return this.serveFile(req, res, entry);
+        return {
+            path: urlPath,
+            mtimeMs,
+            size: body.length,
+            type: this.getContentType(urlPath),
+            cache: this.getCacheControl(urlPath),
+            body,
+            etag: this.etag(body),
+            br: compressed.br,
+            brEtag: compressed.br ? this.etag(compressed.br) : undefined,
+            gz: compressed.gz,
+            gzEtag: compressed.gz ? this.etag(compressed.gz) : undefined,
+        };
+    }
+
+    // Generated files are as recent as the newest of their sources.
+    async latestMtime(files) {
+        const times = await Promise.all(
+            files.map((file) =>
+                fs.promises.stat(path.join(ROOT, file)).then(
+                    (stats) => stats.mtimeMs,
+                    () => 0
+                )
+            )
+        );
+        return Math.max(...times);
+    }
 
-        const fallbackPath = path.join(ROOT, pathname);
-        if (fs.existsSync(fallbackPath) && fs.statSync(fallbackPath).isFile()) {
-            const content = fs.readFileSync(fallbackPath);
-            const tempEntry = {
-                type: this.getContentType(fallbackPath),
-                cache: this.getCacheControl(fallbackPath),
-                body: content,
-                etag: this.etag(content),
-            };
-            return this.serveFile(req, res, tempEntry);
+    // What every page goes through: style.css and script.js are inlined, the
+    // live reload client added in dev, asset URLs fingerprinted and the
+    // result minified by `minifier`.
+    async finishPage(html, minifier = null) {
+        const jsPath = path.join(ROOT, "script.js");
+        const jsContent = fs.existsSync(jsPath)
+            ? await fs.promises.readFile(jsPath, "utf8")
+            : null;
+
+        const cssPath = path.join(ROOT, "style.css");
+        if (fs.existsSync(cssPath)) {
+            const cssContent = await fs.promises.readFile(cssPath, "utf8");
+            const prune = this.config.pruneCSS;
+            const used =
+                prune &&
+                collectNames(html, jsContent ? [jsContent] : [], prune.keep);
+            const css = this.minifyCSS(cssContent, { used });
+            html = html.replace(
+                /<link[^>]*href=["']style\.css["'][^>]*>/gi,
+                () => `<style>${css}</style>`
+            );
         }
 
-        this.setSecurityHeaders(res);
-        res.statusCode = 404;
-        res.setHeader("Content-Type", "text/plain; charset=utf-8");
-        res.end("404 Not Found");
+        if (jsContent !== null) {
+            html = html.replace(
+                /<script[^>]*src=["']script\.js["'][^>]*><\/script>/gi,
+                () => `<script>${jsContent}</script>`
+            );
+        }
+
+        if (this.dev) {
+            html = html.replace(
+                /<\/body>/i,
+                `<script>${DEV_RELOAD_CLIENT}</script></body>`
+            );
+        }
+
+        html = this.rewriteAssetUrls(html);
+        if (minifier) html = minifier(html);
+        return html;
     }
-}
 
-async function start() {
-    const processor = new AssetProcessor();
-    await processor.build();
+    async processFile({
+        file: relPath,
+        output = relPath,
+        locale,
+        minifier = null,
+        dependencies = [],
+    }) {
+        const absPath = path.join(ROOT, relPath);
+        const content = await fs.promises.readFile(absPath);
+        const mtimeMs = await this.latestMtime([relPath, ...dependencies]);
 
-    const server = http.createServer((req, res) =>
-        processor.handleRequest(req, res)
-    );
-    server.listen(PORT, () => {
-        console.log(`Server running on http://localhost:${PORT}`);
+        let processedContent = content;
+        let links = [];
+
+        if (relPath === "index.html") {
+            let htmlContent = this.renderTemplate(
+                relPath,
+                content.toString("utf8"),
+                this.pageData(locale),
+                this.templateFilters(this.catalogs.get(locale).catalog)
+            );
+            htmlContent = this.injectLocaleLinks(htmlContent, locale);
+            htmlContent = await this.finishPage(htmlContent, minifier);
+            links = this.preloadLinks(htmlContent);
+            processedContent = Buffer.from(htmlContent, "utf8");
+        } else if (minifier || REWRITTEN.includes(path.extname(relPath))) {
+            let text = content.toString("utf8");
+            if (minifier) text = minifier(text);
+            processedContent = Buffer.from(
+                relPath.endsWith(".css")
+                    ? rewriteCSSUrls(text, (url) => this.rewriteAssetUrl(url))
+                    : this.rewriteAssetUrls(text),
+                "utf8"
+            );
+        }
+
+        const entry = await this.createEntry(
+            "/" + output.replace(/\\/g, "/"),
+            processedContent,
+            mtimeMs
+        );
+        if (links.length) entry.links = links;
+        return entry;
+    }
+
+    catalogFiles(locale) {
+        return Array.from(
+            new Set([
+                `${LOCALES_DIR}/${DEFAULT_LOCALE}.json`,
+                `${LOCALES_DIR}/${locale}.json`,
+            ])
+        );
+    }
+
+    // The blog, a page per tag and the feeds, once there is a post to show.
+    blogTasks() {
+        if (!this.posts.length) return [];
+
+        const posts = this.posts.map(({ file }) => file);
+        const lists = [
+            "templates/blog.html",
+            ...this.partialFiles(),
+            ...this.catalogFiles(DEFAULT_LOCALE),
+            ...posts,
+        ];
+        return [
+            ...this.posts.map((post) => ({
+                file: post.file,
+                output: `${post.path.slice(1)}index.html`,
+                generate: () => this.renderPost(post),
+                dependencies: [
+                    "templates/post.html",
+                    ...this.partialFiles(),
+                    ...this.catalogFiles(post.lang),
+                ],
+                uses: INLINED_ASSETS,
+                phase: 2,
+            })),
+            ...[null, ...blogTags(this.posts, DEFAULT_LOCALE)].map((tag) => ({
+                output: `${(tag ? tag.path : BLOG_PATH).slice(1)}index.html`,
+                generate: () => this.renderBlogIndex(tag),
+                dependencies: lists,
+                uses: INLINED_ASSETS,
+                phase: 2,
+            })),
+            {
+                output: `${BLOG_PATH.slice(1)}rss.xml`,
+                generate: () => generateRSS(this.posts, this.feedChannel()),
+                dependencies: posts,
+                phase: 2,
+            },
+            {
+                output: `${BLOG_PATH.slice(1)}atom.xml`,
+                generate: () => generateAtom(this.posts, this.feedChannel()),
+                dependencies: posts,
+                phase: 2,
+            },
+        ];
+    }
+
+    // Tasks run phase by phase so that fingerprinted assets are known before
+    // the files referencing them are rewritten. Besides their sources, tasks
+    // list in `uses` the outputs of other tasks they read, and rebuilds add
+    // the fingerprinted assets they were found to reference.
+    getBuildTasks() {
+        const minifiers = {
+            copy: null,
+            css: this.minifyCSS.bind(this),
+            js: this.minifyJS.bind(this),
+        };
+
+        const tasks = [
+            ...this.assets.map(({ file, processor, fingerprint }) => ({
+                file,
+                minifier: minifiers[processor],
+                fingerprint,
+                phase: processor === "copy" ? 0 : 1,
+            })),
+            ...this.locales.map((locale) => ({
+                file: "index.html",
+                output: `${this.localePath(locale).slice(1)}index.html`,
+                locale,
+                minifier: this.minifyHTML.bind(this),
+                dependencies: [
+                    "content.json",
+                    ...this.partialFiles(),
+                    ...this.catalogFiles(locale),
+                ],
+                uses: INLINED_ASSETS,
+                phase: 2,
+            })),
+            ...this.blogTasks(),
+            ...this.locales.map((locale) => ({
+                output: `${this.localePath(locale).slice(1)}${OFFLINE_PAGE}`,
+                generate: () => this.renderOffline(locale),
+                dependencies: [
+                    "templates/offline.html",
+                    ...this.partialFiles(),
+                    ...this.catalogFiles(locale),
+                ],
+                uses: INLINED_ASSETS,
+                phase: 2,
+            })),
+            ...this.locales.map((locale) => ({
+                output: `${this.localePath(locale).slice(1)}cv.pdf`,
+                generate: () => this.generateCV(locale),
+                dependencies: ["content.json", ...this.catalogFiles(locale)],
+                phase: 3,
+            })),
+            {
+                output: WEB_MANIFEST.slice(1),
+                generate: () => this.generateWebManifest(),
+                dependencies: [
+                    "content.json",
+                    ...this.catalogFiles(DEFAULT_LOCALE),
+                ],
+                uses: [
+                    `${this.localePath(DEFAULT_LOCALE)}index.html`,
+                    APP_ICON,
+                ],
+                phase: 3,
+            },
+            {
+                output: "robots.txt",
+                generate: () => this.generateRobots(),
+                phase: 3,
+            },
+        ];
+        // The sitemap dates pages from their sources, not their content.
+        const sitemap = {
+            output: "sitemap.xml",
+            generate: () => this.generateSitemap(),
+            dependencies: Array.from(
+                new Set(
+                    tasks
+                        .filter(({ file, output = file }) =>
+                            output.endsWith(".html")
+                        )
+                        .flatMap(({ file, dependencies = [] }) => [
+                            file,
+                            ...dependencies,
+                        ])
+                        .filter(Boolean)
+                )
+            ),
+            phase: 3,
+        };
+
+        return [
+            ...tasks,
+            sitemap,
+            // The worker lists every other file, and a dev server reloading
+            // pages has no use for a cache in the way.
+            ...(this.dev
+                ? []
+                : [
+                      {
+                          output: SERVICE_WORKER.slice(1),
+                          generate: () => this.generateServiceWorker(),
+                          cache: "no-cache",
+                          uses: [...tasks, sitemap].map(
+                              ({ file, output = file }) => `/${output}`
+                          ),
+                          phase: 4,
+                      },
+                  ]),
+        ];
+    }
+
+    async runTask(task) {
+        const { file, output = file } = task;
+        const urlPath = "/" + output;
+        if (this.manifest.has(urlPath)) {
+            this.files.delete(this.manifest.get(urlPath));
+            this.manifest.delete(urlPath);
+        }
+
+        if (!task.generate && !fs.existsSync(path.join(ROOT, file))) {
+            this.files.delete(urlPath);
+            return `${output}: skipped`;
+        }
+
+        let entry;
+        if (task.generate) {
+            const generated = await task.generate();
+            entry = await this.createEntry(
+                urlPath,
+                Buffer.isBuffer(generated)
+                    ? generated
+                    : Buffer.from(generated, "utf8"),
+                Date.now()
+            );
+        } else {
+            entry = await this.processFile(task);
+        }
+        if (task.fingerprint) {
+            const hashedPath = this.fingerprint(entry.path, entry.body);
+            this.manifest.set(entry.path, hashedPath);
+            this.files.set(hashedPath, {
+                ...entry,
+                path: hashedPath,
+                cache: this.getCacheControl(hashedPath),
+            });
+        }
+        if (task.cache) entry.cache = task.cache;
+        this.files.set(entry.path, entry);
+        this.references.set(urlPath, this.referencedAssets(entry.body));
+        return `${output}: processed`;
+    }
+
+    // The fingerprinted assets whose URL is in `body`.
+    referencedAssets(body) {
+        return Array.from(this.manifest)
+            .filter(([, hashedPath]) => body.includes(hashedPath))
+            .map(([urlPath]) => urlPath);
+    }
+
+    async runPhases(tasks) {
+        const results = [];
+        const phases = Array.from(new Set(tasks.map(({ phase }) => phase)));
+
+        for (const phase of phases.sort()) {
+            results.push(
+                ...(await Promise.allSettled(
+                    tasks
+                        .filter((task) => task.phase === phase)
+                        .map((task) => this.runTask(task))
+                ))
+            );
+        }
+
+        const manifest = Buffer.from(
+            JSON.stringify(Object.fromEntries(this.manifest), null, 2),
+            "utf8"
+        );
+        const entry = await this.createEntry(
+            "/asset-manifest.json",
+            manifest,
+            Date.now()
+        );
+        entry.cache = "no-cache";
+        this.files.set(entry.path, entry);
+
+        return results;
+    }
+
+    pages() {
+        return this.entries().filter(({ type }) =>
+            type.startsWith("text/html")
+        );
+    }
+
+    // Every page shares the policy, so it allows the inline code of all.
+    updateCSP() {
+        this.cspHashes.scripts.clear();
+        this.cspHashes.styles.clear();
+        this.pages().forEach((page) =>
+            this.extractCSPHashes(page.body.toString("utf8"))
+        );
+        this.files.set("__csp__", this.generateCSP());
+        const reportOnly = this.generateReportOnlyCSP();
+        if (reportOnly) this.files.set("__csp_report_only__", reportOnly);
+        else this.files.delete("__csp_report_only__");
+    }
+
+    async measureBuild(run) {
+        const started = process.hrtime.bigint();
+        try {
+            await run();
+            this.metrics.builds.inc({ result: "success" });
+        } catch (error) {
+            this.metrics.builds.inc({ result: "failure" });
+            throw error;
+        } finally {
+            this.metrics.buildDuration.set(
+                {},
+                Number(process.hrtime.bigint() - started) / 1e9
+            );
+        }
+    }
+
+    async build() {
+        console.log("Building assets...");
+
+        const problems = validate(
+            SITE_ORIGIN,
+            { type: "string", format: "url" },
+            "SITE_ORIGIN"
+        );
+        if (problems.length) throw new SchemaError("environment", problems);
+
+        await this.measureBuild(async () => {
+            await this.loadConfig();
+            await this.loadTranslations();
+            this.partials = await this.loadPartials();
+            this.posts = await this.loadPosts();
+            const failure = (await this.runPhases(this.getBuildTasks())).find(
+                ({ status }) => status === "rejected"
+            );
+            if (failure) throw failure.reason;
+
+            this.updateCSP();
+            await this.verify();
+        });
+        this.ready = true;
+        console.log("Build complete");
+    }
+
+    extractInline(html, tag) {
+        const pattern =
+            tag === "script"
+                ? /<script(?![^>]*\b(?:src|type)=)[^>]*>([\s\S]*?)<\/script>/gi
+                : /<style[^>]*>([\s\S]*?)<\/style>/gi;
+        return Array.from(html.matchAll(pattern), (match) => match[1]);
+    }
+
+    async verify() {
+        const problems = [];
+        const script = this.files.get("/script.js");
+        const style = this.files.get("/style.css");
+
+        const jsPath = path.join(ROOT, "script.js");
+        const original = fs.existsSync(jsPath)
+            ? await fs.promises.readFile(jsPath, "utf8")
+            : null;
+
+        if (original) problems.push(checkNoEval(original, "script.js"));
+
+        if (script) {
+            const minified = script.body.toString("utf8");
+            problems.push(
+                checkScriptSyntax(minified, "script.js"),
+                compareScriptBehavior(original, minified, "script.js")
+            );
+        }
+
+        if (style)
+            problems.push(checkCSS(style.body.toString("utf8"), "style.css"));
+
+        const worker = this.files.get(SERVICE_WORKER);
+        if (worker)
+            problems.push(
+                checkScriptSyntax(worker.body.toString("utf8"), "sw.js")
+            );
+
+        this.pages().forEach((page) => {
+            const name = page.path.slice(1);
+            const html = page.body.toString("utf8");
+            const scripts = this.extractInline(html, "script");
+            if (this.dev) scripts.pop(); // live reload client
+
+            scripts.forEach((code, i) =>
+                problems.push(
+                    checkScriptSyntax(code, `${name} <script #${i + 1}>`)
+                )
+            );
+            if (original && scripts.length)
+                problems.push(
+                    compareScriptBehavior(
+                        original,
+                        scripts[0],
+                        `${name} <script #1>`
+                    )
+                );
+
+            this.extractInline(html, "style").forEach((css, i) =>
+                problems.push(checkCSS(css, `${name} <style #${i + 1}>`))
+            );
+        });
+
+        const failures = problems.filter(Boolean);
+        if (failures.length) throw new VerificationError(failures);
+    }
+
+    async rebuild(changedFiles) {
+        // The config may change any task, so everything is rebuilt; so do
+        // posts, which add or remove pages and the blog link of every page.
+        const configChanged = changedFiles.includes(
+            path.relative(ROOT, CONFIG_FILE)
+        );
+        const postsChanged = changedFiles.some((file) =>
+            file.startsWith(`${POSTS_DIR}/`)
+        );
+        if (configChanged) await this.loadConfig();
+        if (
+            changedFiles.some(
+                (file) =>
+                    file === "content.json" ||
+                    file.startsWith(`${LOCALES_DIR}/`)
+            )
+        )
+            await this.loadTranslations();
+        if (changedFiles.some((file) => file.startsWith(`${PARTIALS_DIR}/`)))
+            this.partials = await this.loadPartials();
+        if (postsChanged) this.posts = await this.loadPosts();
+
+        const tasks = this.getBuildTasks();
+        if (postsChanged) {
+            const outputs = new Set(
+                tasks.map(({ file, output = file }) => `/${output}`)
+            );
+            Array.from(this.files.keys())
+                .filter((key) => key.startsWith(BLOG_PATH) && !outputs.has(key))
+                .forEach((key) => this.files.delete(key));
+        }
+        const affected =
+            configChanged || postsChanged
+                ? tasks
+                : affectedTasks(tasks, changedFiles, this.references);
+
+        await this.measureBuild(async () => {
+            const failure = (await this.runPhases(affected)).find(
+                ({ status }) => status === "rejected"
+            );
+            if (failure) throw failure.reason;
+
+            this.updateCSP();
+            await this.verify();
+        });
+        console.log(
+            `Rebuilt ${affected
+                .map(({ file, output = file }) => output)
+                .join(", ")}`
+        );
+        this.notifyReload();
+    }
+
+    watch() {
+        const watched = new Set(
+            this.getBuildTasks()
+                .flatMap(({ file, dependencies = [] }) => [
+                    file,
+                    ...dependencies,
+                ])
+                .concat(path.relative(ROOT, CONFIG_FILE))
+                .filter(Boolean)
+        );
+        // New posts and partials are picked up too.
+        const isSource = (file) =>
+            watched.has(file) ||
+            (path.posix.dirname(file) === POSTS_DIR && file.endsWith(".md")) ||
+            (path.posix.dirname(file) === PARTIALS_DIR &&
+                file.endsWith(".html"));
+        const dirs = new Set(
+            Array.from(watched, (file) => path.posix.dirname(file)).concat(
+                [POSTS_DIR, PARTIALS_DIR].filter((dir) =>
+                    fs.existsSync(path.join(ROOT, dir))
+                )
+            )
+        );
+        const pending = new Set();
+        let timer = null;
+
+        dirs.forEach((dir) =>
+            fs.watch(path.join(ROOT, dir), (event, filename) => {
+                const file = filename && path.posix.join(dir, filename);
+                if (!file || !isSource(file)) return;
+                pending.add(file);
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    const changed = Array.from(pending);
+                    pending.clear();
+                    this.rebuild(changed).catch((err) =>
+                        console.error("Rebuild failed:", err)
+                    );
+                }, 50);
+            })
+        );
+
+        console.log("Watching source files for changes");
+    }
+
+    handleReloadStream(req, res) {
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream; charset=utf-8",
+            "Cache-Control": "no-cache",
+        });
+        res.write("retry: 1000\n\n");
+
+        this.reloadClients.add(res);
+        req.on("close", () => this.reloadClients.delete(res));
+    }
+
+    notifyReload() {
+        this.reloadClients.forEach((res) =>
+            res.write("event: reload\ndata: {}\n\n")
+        );
+    }
+
+    getSecurityHeaders() {
+        const headers = {
+            "X-Content-Type-Options": "nosniff",
+            "X-Frame-Options": "DENY",
+            "X-XSS-Protection": "1; mode=block",
+            "Referrer-Policy": "strict-origin-when-cross-origin",
+            "Strict-Transport-Security":
+                "max-age=31536000; includeSubDomains; preload",
+            "Permissions-Policy":
+                "geolocation=(), microphone=(), camera=(), payment=(), usb=(), magnetometer=(), gyroscope=(), speaker=()",
+        };
+        Object.entries(this.config.headers).forEach(([name, value]) => {
+            Object.keys(headers)
+                .filter((key) => key.toLowerCase() === name.toLowerCase())
+                .forEach((key) => delete headers[key]);
+            headers[name] = value;
+        });
+        headers["Content-Security-Policy"] = this.files.get("__csp__");
+        headers["Content-Security-Policy-Report-Only"] = this.files.get(
+            "__csp_report_only__"
+        );
+        if (this.reportURI())
+            headers[
+                "Reporting-Endpoints"
+            ] = `${CSP_REPORT_GROUP}="${this.reportURI()}"`;
+        return headers;
+    }
+
+    setSecurityHeaders(res) {
+        Object.entries(this.getSecurityHeaders()).forEach(([key, value]) => {
+            if (value) res.setHeader(key, value);
+        });
+    }
+
+    opaqueTag(tag) {
+        return tag.trim().replace(/^W\//, "");
+    }
+
+    lastModified(entry) {
+        return Math.floor(entry.mtimeMs / 1000) * 1000;
+    }
+
+    isNotModified(req, entry, tag) {
+        const ifNoneMatch = req.headers["if-none-match"];
+        if (ifNoneMatch) {
+            return (
+                ifNoneMatch.trim() === "*" ||
+                ifNoneMatch
+                    .split(",")
+                    .some((t) => this.opaqueTag(t) === this.opaqueTag(tag))
+            );
+        }
+
+        const since = Date.parse(req.headers["if-modified-since"]);
+        return !!entry.mtimeMs && since >= this.lastModified(entry);
+    }
+
+    // If-Range needs a strong validator: our ETags are weak, so only an
+    // exact Last-Modified date lets a range through.
+    ifRangeMatches(req, entry) {
+        const value = req.headers["if-range"];
+        if (!value) return true;
+        if (/^(W\/)?"/.test(value.trim())) return false;
+        return (
+            !!entry.mtimeMs && Date.parse(value) === this.lastModified(entry)
+        );
+    }
+
+    // Returns null to serve the full body, [] when no range is satisfiable.
+    // Streamed entries only support a single range.
+    parseRange(req, entry) {
+        const header = req.headers.range;
+        if (!header || req.method !== "GET" || !this.ifRangeMatches(req, entry))
+            return null;
+
+        const match = /^bytes=(.+)$/.exec(header.trim());
+        if (!match) return null;
+
+        const { size } = entry;
+        const ranges = [];
+        for (const part of match[1].split(",")) {
+            const bounds = /^\s*(\d*)-(\d*)\s*$/.exec(part);
+            if (!bounds || (!bounds[1] && !bounds[2])) return null;
+
+            let start;
+            let end = size - 1;
+            if (!bounds[1]) {
+                start = Math.max(0, size - Number(bounds[2]));
+                if (Number(bounds[2]) === 0) continue;
+            } else {
+                start = Number(bounds[1]);
+                if (bounds[2]) {
+                    if (Number(bounds[2]) < start) return null;
+                    end = Math.min(Number(bounds[2]), end);
+                }
+            }
+
+            if (start < size) ranges.push({ start, end });
+        }
+
+        const limit = entry.body ? MAX_RANGES : 1;
+        return ranges.length > limit ? null : ranges;
+    }
+
+    send(req, res, statusCode, body) {
+        res.statusCode = statusCode;
+        res.setHeader("Content-Length", body.length);
+        res.end(req.method === "HEAD" ? undefined : body);
+    }
+
+    sendStream(req, res, statusCode, entry, range = {}) {
+        const { start = 0, end = entry.size - 1 } = range;
+        res.statusCode = statusCode;
+        res.setHeader("Content-Length", end - start + 1);
+        if (req.method === "HEAD") return res.end();
+
+        const stream = fs.createReadStream(entry.file, { start, end });
+        stream.on("error", () => res.destroy());
+        stream.pipe(res);
+    }
+
+    sendText(req, res, statusCode, text, headers = {}) {
+        this.setSecurityHeaders(res);
+        res.setHeader("Content-Type", "text/plain; charset=utf-8");
+        Object.entries(headers).forEach(([key, value]) =>
+            res.setHeader(key, value)
+        );
+        this.send(req, res, statusCode, Buffer.from(text, "utf8"));
+    }
+
+    sendJSON(req, res, statusCode, data, headers = {}) {
+        this.setSecurityHeaders(res);
+        res.setHeader("Content-Type", "application/json; charset=utf-8");
+        res.setHeader("Cache-Control", "no-store");
+        Object.entries(headers).forEach(([key, value]) =>
+            res.setHeader(key, value)
+        );
+        this.send(
+            req,
+            res,
+            statusCode,
+            Buffer.from(JSON.stringify(data), "utf8")
+        );
+    }
+
+    sendServerError(req, res, label, err) {
+        console.error(`${label} failed (request ${req.id}):`, err);
+        if (!res.headersSent)
+            this.sendText(req, res, 500, "500 Internal Server Error");
+        else res.destroy();
+    }
+
+    redirect(req, res, statusCode, location, headers = {}) {
+        this.sendText(
+            req,
+            res,
+            statusCode,
+            `${statusCode} ${http.STATUS_CODES[statusCode]}`,
+            { Location: location, ...headers }
+        );
+    }
+
+    sendRanges(req, res, entry, ranges) {
+        const { size } = entry;
+
+        if (!ranges.length) {
+            res.setHeader("Content-Range", `bytes */${size}`);
+            return this.send(req, res, 416, Buffer.alloc(0));
+        }
+
+        if (ranges.length === 1) {
+            const [{ start, end }] = ranges;
+            res.setHeader("Content-Range", `bytes ${start}-${end}/${size}`);
+            if (!entry.body)
+                return this.sendStream(req, res, 206, entry, { start, end });
+            return this.send(
+                req,
+                res,
+                206,
+                entry.body.subarray(start, end + 1)
+            );
+        }
+
+        const boundary = crypto.randomBytes(12).toString("hex");
+        const parts = ranges.map(({ start, end }) =>
+            Buffer.concat([
+                Buffer.from(
+                    `\r\n--${boundary}\r\n` +
+                        `Content-Type: ${entry.type}\r\n` +
+                        `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+                ),
+                entry.body.subarray(start, end + 1),
+            ])
+        );
+
+        res.setHeader(
+            "Content-Type",
+            `multipart/byteranges; boundary=${boundary}`
+        );
+        this.send(
+            req,
+            res,
+            206,
+            Buffer.concat([...parts, Buffer.from(`\r\n--${boundary}--\r\n`)])
+        );
+    }
+
+    serveFile(req, res, entry) {
+        this.setSecurityHeaders(res);
+        res.setHeader("Content-Type", entry.type);
+        res.setHeader("Cache-Control", entry.cache);
+        res.setHeader(
+            "Vary",
+            ["Accept-Encoding", res.getHeader("Vary")]
+                .filter(Boolean)
+                .join(", ")
+        );
+        res.setHeader("Accept-Ranges", "bytes");
+        if (entry.links) res.setHeader("Link", entry.links.join(", "));
+        if (entry.mtimeMs)
+            res.setHeader(
+                "Last-Modified",
+                new Date(entry.mtimeMs).toUTCString()
+            );
+
+        // Ranges always apply to the uncompressed representation.
+        const ranges = this.parseRange(req, entry);
+        const acceptEncoding = req.headers["accept-encoding"] || "";
+        let { body, etag: tag } = entry;
+
+        if (!ranges && /\bbr\b/.test(acceptEncoding) && entry.br) {
+            body = entry.br;
+            tag = entry.brEtag;
+            res.setHeader("Content-Encoding", "br");
+        } else if (!ranges && /\bgzip\b/.test(acceptEncoding) && entry.gz) {
+            body = entry.gz;
+            tag = entry.gzEtag;
+            res.setHeader("Content-Encoding", "gzip");
+        }
+
+        res.setHeader("ETag", tag);
+
+        if (this.isNotModified(req, entry, tag)) {
+            res.statusCode = 304;
+            res.setHeader("Content-Length", body ? body.length : entry.size);
+            return res.end();
+        }
+
+        if (ranges) return this.sendRanges(req, res, entry, ranges);
+        if (body && body !== entry.body && req.method === "GET")
+            this.metrics.compressionSaved.inc(
+                { encoding: res.getHeader("Content-Encoding") },
+                entry.size - body.length
+            );
+        this.sendEarlyHints(req, res, entry);
+        if (!body) return this.sendStream(req, res, 200, entry);
+        this.send(req, res, 200, body);
+    }
+
+    // HTTP/1.0 clients do not expect informational responses, and
+    // writeEarlyHints only exists since Node 18.11.
+    sendEarlyHints(req, res, entry) {
+        if (
+            entry.links &&
+            req.method === "GET" &&
+            typeof res.writeEarlyHints === "function" &&
+            (req.httpVersionMajor > 1 || req.httpVersionMinor > 0)
+        )
+            res.writeEarlyHints({ link: entry.links });
+    }
+
+    entries() {
+        return Array.from(this.files.values()).filter(
+            (entry) => typeof entry === "object"
+        );
+    }
+
+    // The fallback only serves files asset rules match, so that nothing else
+    // under ROOT is ever exposed.
+    isPublicFile(file) {
+        return (
+            !isPrivatePath(file) &&
+            this.isAssetFile(file) &&
+            this.isPublicExtension(path.posix.extname(file).toLowerCase())
+        );
+    }
+
+    isPublicExtension(ext) {
+        return (
+            PUBLIC_EXTENSIONS.includes(ext) ||
+            Object.prototype.hasOwnProperty.call(this.config.mimeTypes, ext)
+        );
+    }
+
+    resolvePublicPath(pathname) {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(pathname);
+        } catch {
+            return { status: 400 };
+        }
+
+        const segments = decoded.split("/").filter(Boolean);
+        if (
+            /[\0\\]/.test(decoded) ||
+            segments.some((segment) => segment === "." || segment === "..")
+        )
+            return { status: 400 };
+
+        if (
+            decoded !== "/" + segments.join("/") ||
+            !this.isPublicFile(segments.join("/"))
+        )
+            return { status: 404 };
+
+        const filePath = path.join(ROOT, ...segments);
+        if (!filePath.startsWith(ROOT + path.sep)) return { status: 404 };
+        return { filePath, urlPath: "/" + segments.join("/") };
+    }
+
+    async serveFallback(req, res, pathname) {
+        const { status, filePath, urlPath } = this.resolvePublicPath(pathname);
+        if (status === 400)
+            return this.sendText(req, res, 400, "400 Bad Request");
+
+        const stats =
+            filePath && (await fs.promises.stat(filePath).catch(() => null));
+        const realPath =
+            stats &&
+            stats.isFile() &&
+            (await fs.promises.realpath(filePath).catch(() => null));
+        if (
+            !realPath ||
+            !realPath.startsWith(ROOT + path.sep) ||
+            !this.isPublicFile(
+                path.relative(ROOT, realPath).split(path.sep).join("/")
+            )
+        )
+            return this.sendText(req, res, 404, "404 Not Found");
+
+        if (stats.size > STREAM_THRESHOLD) {
+            return this.serveFile(req, res, {
+                file: filePath,
+                mtimeMs: stats.mtimeMs,
+                size: stats.size,
+                type: this.getContentType(filePath),
+                cache: this.getCacheControl(urlPath),
+                etag: `W/"${stats.size.toString(16)}-${Math.floor(
+                    stats.mtimeMs
+                ).toString(16)}"`,
+            });
+        }
+
+        let entry = this.fallbackCache.get(filePath);
+        if (
+            !entry ||
+            entry.mtimeMs !== stats.mtimeMs ||
+            entry.size !== stats.size
+        ) {
+            const content = await fs.promises.readFile(filePath);
+            entry = await this.createEntry(urlPath, content, stats.mtimeMs);
+            this.fallbackCache.set(filePath, entry);
+        }
+        this.serveFile(req, res, entry);
+    }
+
+    // An explicit choice (cookie) wins over the Accept-Language header.
+    preferredLocale(req) {
+        const chosen = cookieValue(req, LOCALE_COOKIE);
+        if (this.locales.includes(chosen)) return chosen;
+        return negotiateLocale(
+            req.headers["accept-language"],
+            this.locales,
+            DEFAULT_LOCALE
+        );
+    }
+
+    // Only the root URL is negotiated; /<locale>/ pages are stable and
+    // `?lang=<locale>` on any of them records the visitor's choice.
+    handleLocale(req, res, url) {
+        const isPage = this.locales.some(
+            (locale) => url.pathname === this.localePath(locale)
+        );
+        const chosen = url.searchParams.get(LOCALE_COOKIE);
+
+        if (isPage && this.locales.includes(chosen)) {
+            this.redirect(req, res, 302, this.localePath(chosen), {
+                "Set-Cookie": `${LOCALE_COOKIE}=${chosen}; Path=/; Max-Age=31536000; SameSite=Lax`,
+                "Cache-Control": "no-store",
+            });
+            return true;
+        }
+
+        if (url.pathname !== "/") return false;
+        res.setHeader("Vary", "Accept-Language, Cookie");
+        const locale = this.preferredLocale(req);
+        if (locale === DEFAULT_LOCALE) return false;
+
+        this.redirect(req, res, 302, this.localePath(locale), {
+            "Cache-Control": "no-cache",
+        });
+        return true;
+    }
+
+    clientAddress(req) {
+        const forwarded = req.headers["x-forwarded-for"];
+        if (TRUST_PROXY && forwarded) return forwarded.split(",").pop().trim();
+        return req.socket.remoteAddress;
+    }
+
+    // fetch() calls get JSON; plain form posts are redirected to the matching
+    // notice of the contact section, which CSS reveals through :target.
+    respondContact(
+        req,
+        res,
+        statusCode,
+        { locale, outcome, errors = {}, headers = {}, renewToken = false }
+    ) {
+        const t = this.catalogs.get(locale).catalog.contact.form;
+        if (renewToken) this.issueContactToken(res);
+        if (/\bapplication\/json\b/.test(req.headers.accept || ""))
+            return this.sendJSON(
+                req,
+                res,
+                statusCode,
+                {
+                    ok: outcome === "sent",
+                    message: t[outcome],
+                    errors: Object.fromEntries(
+                        Object.entries(errors).map(([field, code]) => [
+                            field,
+                            t.errors[code],
+                        ])
+                    ),
+                },
+                headers
+            );
+
+        this.redirect(
+            req,
+            res,
+            303,
+            `${this.localePath(locale)}#contact-${outcome}`,
+            { "Cache-Control": "no-store", ...headers }
+        );
+    }
+
+    async handleContact(req, res) {
+        if (req.method !== "POST")
+            return this.sendText(req, res, 405, "405 Method Not Allowed", {
+                Allow: "POST",
+            });
+
+        const { statusCode, ...result } = await submitContact(req, {
+            client: this.clientAddress(req),
+            limiter: this.limiters.contact,
+            transport: this.contactTransport,
+            token: cookieValue(req, CONTACT_TOKEN_COOKIE),
+            secret: CONTACT_SECRET,
+            minSeconds: CONTACT_MIN_SECONDS,
+            maxSeconds: CONTACT_TOKEN_MAX_AGE,
+            maxBytes: CONTACT_MAX_BYTES,
+            locale: this.preferredLocale(req),
+            locales: this.locales,
+        });
+        this.respondContact(req, res, statusCode, result);
+    }
+
+    hasContactForm(pathname) {
+        return this.locales.some(
+            (locale) => pathname === `${this.localePath(locale)}index.html`
+        );
+    }
+
+    // Serving the form starts its timing check, as does answering a
+    // submission whose token expired. The token only goes back with
+    // submissions.
+    issueContactToken(res) {
+        res.setHeader(
+            "Set-Cookie",
+            `${CONTACT_TOKEN_COOKIE}=${issueFormToken(
+                CONTACT_SECRET
+            )}; Path=${CONTACT_PATH}; Max-Age=${CONTACT_TOKEN_MAX_AGE}; HttpOnly; SameSite=Strict`
+        );
+    }
+
+    // Only served pages, section ids and http(s) link targets are counted;
+    // query strings are dropped from outbound URLs.
+    parseBeacon({ type, path: pagePath = "", section = "", url = "" }) {
+        const page = this.files.get(
+            pagePath.endsWith("/") ? `${pagePath}index.html` : pagePath
+        );
+        if (!page || !page.type.startsWith("text/html")) return null;
+
+        if (type === "view") return { metric: "views", key: pagePath };
+        if (type === "section")
+            return /^[a-z][\w-]{0,63}$/i.test(section)
+                ? { metric: "sections", key: section }
+                : null;
+        if (type === "click") {
+            let target;
+            try {
+                target = new URL(url);
+            } catch {
+                return null;
+            }
+            return /^https?:$/.test(target.protocol)
+                ? { metric: "clicks", key: target.origin + target.pathname }
+                : null;
+        }
+        return null;
+    }
+
+    // Do Not Track and Global Privacy Control are honored here too, in case
+    // a client sends beacons regardless.
+    async handleBeacon(req, res) {
+        if (req.method !== "POST")
+            return this.sendText(req, res, 405, "405 Method Not Allowed", {
+                Allow: "POST",
+            });
+
+        if (req.headers.dnt !== "1" && req.headers["sec-gpc"] !== "1") {
+            let fields;
+            try {
+                fields = await readForm(req, BEACON_MAX_BYTES);
+            } catch (error) {
+                if (!(error instanceof RequestError)) throw error;
+                return this.sendText(
+                    req,
+                    res,
+                    error.statusCode,
+                    `${error.statusCode} ${error.message}`
+                );
+            }
+
+            const event = this.parseBeacon(fields);
+            if (!event) return this.sendText(req, res, 400, "400 Bad Request");
+            this.analytics.record(event.metric, event.key);
+        }
+
+        res.statusCode = 204;
+        res.end();
+    }
+
+    // Every violation is counted; distinct ones are also stored and logged.
+    async handleCSPReport(req, res) {
+        if (req.method !== "POST")
+            return this.sendText(req, res, 405, "405 Method Not Allowed", {
+                Allow: "POST",
+            });
+
+        const limit = await this.limiters.report.hit(this.clientAddress(req));
+        if (!limit.allowed)
+            return this.sendText(req, res, 429, "429 Too Many Requests", {
+                "Retry-After": limit.retryAfter,
+            });
+
+        const type = (req.headers["content-type"] || "").split(";")[0].trim();
+        if (!CSP_REPORT_TYPES.includes(type))
+            return this.sendText(req, res, 415, "415 Unsupported Media Type");
+
+        let data;
+        try {
+            data = JSON.parse(
+                (await readBody(req, CSP_REPORT_MAX_BYTES)).toString("utf8")
+            );
+        } catch (error) {
+            if (error instanceof RequestError)
+                return this.sendText(
+                    req,
+                    res,
+                    error.statusCode,
+                    `${error.statusCode} ${error.message}`
+                );
+            if (error instanceof SyntaxError)
+                return this.sendText(req, res, 400, "400 Bad Request");
+            throw error;
+        }
+
+        for (const report of parseReports(type, data)) {
+            this.metrics.cspReports.inc({
+                directive: CSP_DIRECTIVES.includes(report.directive)
+                    ? report.directive
+                    : "other",
+                disposition: report.disposition,
+            });
+            if (await this.cspReports.add(report))
+                console.warn(
+                    `CSP violation (${report.disposition}): ${
+                        report.directive
+                    } blocked ${report.blockedURL || "(unknown)"} on ${
+                        report.documentURL
+                    }`
+                );
+        }
+
+        res.statusCode = 204;
+        res.end();
+    }
+
+    matchesSecret(value, secret) {
+        const digest = (text) =>
+            crypto.createHash("sha256").update(text, "utf8").digest();
+        return crypto.timingSafeEqual(digest(value), digest(secret));
+    }
+
+    isStatsAuthorized(req) {
+        const match = /^Basic\s+(\S+)$/i.exec(req.headers.authorization || "");
+        if (!match) return false;
+
+        const password = Buffer.from(match[1], "base64")
+            .toString("utf8")
+            .replace(/^[^:]*:/, "");
+        return this.matchesSecret(password, STATS_PASSWORD);
+    }
+
+    // Disabled unless STATS_PASSWORD is set; any user name is accepted.
+    async handleStats(req, res) {
+        if (!STATS_PASSWORD)
+            return this.sendText(req, res, 404, "404 Not Found");
+
+        const headers = {
+            "Cache-Control": "no-store",
+            "X-Robots-Tag": "noindex",
+        };
+        const client = this.clientAddress(req);
+        const retryAfter = await this.limiters.auth.retryAfter(client);
+        if (retryAfter)
+            return this.sendText(req, res, 429, "429 Too Many Requests", {
+                ...headers,
+                "Retry-After": retryAfter,
+            });
+
+        if (!this.isStatsAuthorized(req)) {
+            if (req.headers.authorization) await this.limiters.auth.hit(client);
+            return this.sendText(req, res, 401, "401 Unauthorized", {
+                ...headers,
+                "WWW-Authenticate": 'Basic realm="Statistics", charset="UTF-8"',
+            });
+        }
+
+        const relPath = "templates/stats.html";
+        const template = await fs.promises.readFile(
+            path.join(ROOT, relPath),
+            "utf8"
+        );
+        const html = this.rewriteAssetUrls(
+            this.renderTemplate(
+                relPath,
+                template,
+                await this.analytics.summary()
+            )
+        );
+        this.sendText(req, res, 200, html, {
+            ...headers,
+            "Content-Type": "text/html; charset=utf-8",
+        });
+    }
+
+    async sendMetrics(req, res) {
+        this.metrics.memory.set({}, process.memoryUsage().rss);
+        this.sendText(req, res, 200, await this.metrics.registry.render(), {
+            "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+            "Cache-Control": "no-store",
+        });
+    }
+
+    // The public listener only exposes metrics to holders of METRICS_TOKEN.
+    // The METRICS_PORT listener is meant for a private address and only asks
+    // for the token when one is set.
+    async handleMetrics(req, res, { dedicated = false } = {}) {
+        if (!METRICS_TOKEN) {
+            if (dedicated) return this.sendMetrics(req, res);
+            return this.sendText(req, res, 404, "404 Not Found");
+        }
+
+        const client = this.clientAddress(req);
+        const retryAfter = await this.limiters.auth.retryAfter(client);
+        if (retryAfter)
+            return this.sendText(req, res, 429, "429 Too Many Requests", {
+                "Retry-After": retryAfter,
+            });
+
+        const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "");
+        if (!match || !this.matchesSecret(match[1], METRICS_TOKEN)) {
+            if (req.headers.authorization) await this.limiters.auth.hit(client);
+            return this.sendText(req, res, 401, "401 Unauthorized", {
+                "WWW-Authenticate": 'Bearer realm="Metrics"',
+            });
+        }
+        this.sendMetrics(req, res);
+    }
+
+    handleHealth(req, res, pathname) {
+        const ready = pathname === HEALTH_PATH || this.ready;
+        this.sendText(req, res, ready ? 200 : 503, ready ? "ok" : "not ready", {
+            "Cache-Control": "no-store",
+        });
+    }
+
+    // Paths outside the built pages and API routes share one label so that
+    // scanners cannot grow the number of series.
+    routeLabel(pathname) {
+        const file = pathname.endsWith("/")
+            ? `${pathname}index.html`
+            : pathname;
+        return ROUTES.includes(pathname) ||
+            typeof this.files.get(file) === "object"
+            ? pathname
+            : "(other)";
+    }
+
+    // Gives the request an ID and, once it is answered, records its metrics
+    // and writes the access log line. Health checks are not logged.
+    observe(req, res, pathname) {
+        const started = process.hrtime.bigint();
+        const incoming = req.headers["x-request-id"];
+        req.id =
+            TRUST_PROXY && REQUEST_ID.test(incoming || "")
+                ? incoming
+                : crypto.randomUUID();
+        res.setHeader("X-Request-Id", req.id);
+
+        res.once("close", () => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            const route = this.routeLabel(pathname);
+            const encoding = res.getHeader("Content-Encoding") || "identity";
+
+            this.metrics.requests.inc({
+                method: METHODS.includes(req.method) ? req.method : "OTHER",
+                status: res.statusCode,
+                path: route,
+                encoding,
+            });
+            this.metrics.duration.observe({ path: route }, seconds);
+
+            if (
+                !ACCESS_LOG ||
+                pathname === HEALTH_PATH ||
+                pathname === READY_PATH
+            )
+                return;
+            process.stdout.write(
+                JSON.stringify({
+                    time: new Date().toISOString(),
+                    id: req.id,
+                    method: req.method,
+                    path: pathname,
+                    status: res.statusCode,
+                    bytes: Number(res.getHeader("Content-Length")) || 0,
+                    durationMs: Math.round(seconds * 1e4) / 10,
+                    encoding,
+                    protocol: req.httpVersion,
+                    ...(!res.writableEnded && { aborted: true }),
+                }) + "\n"
+            );
+        });
+    }
+
+    // Answers the plain HTTP listener when TLS is on. Hosts other than those
+    // of HTTPS_HOSTS fall back to the site's own host so the redirect cannot
+    // go elsewhere.
+    redirectToHTTPS(req, res) {
+        const url = new URL(req.url, "http://localhost");
+        const host = (req.headers.host || "")
+            .replace(/:\d+$/, "")
+            .toLowerCase();
+        const hostname = HTTPS_HOSTS.includes(host) ? host : HTTPS_HOSTS[0];
+        const port = HTTPS_PORT === 443 ? "" : `:${HTTPS_PORT}`;
+
+        this.redirect(
+            req,
+            res,
+            req.method === "GET" || req.method === "HEAD" ? 301 : 308,
+            `https://${hostname}${port}${url.pathname}${url.search}`
+        );
+    }
+
+    handleRequest(req, res) {
+        const url = new URL(req.url, "http://localhost");
+        this.observe(req, res, url.pathname);
+        if (this.draining && req.httpVersionMajor === 1)
+            res.setHeader("Connection", "close");
+        let pathname = url.pathname.endsWith("/")
+            ? `${url.pathname}index.html`
+            : url.pathname;
+
+        if (this.dev && pathname === DEV_RELOAD_PATH)
+            return this.handleReloadStream(req, res);
+
+        if (pathname === CONTACT_PATH)
+            return this.handleContact(req, res).catch((err) =>
+                this.sendServerError(req, res, "Contact form", err)
+            );
+
+        if (pathname === BEACON_PATH)
+            return this.handleBeacon(req, res).catch((err) =>
+                this.sendServerError(req, res, "Beacon", err)
+            );
+
+        if (pathname === CSP_REPORT_PATH)
+            return this.handleCSPReport(req, res).catch((err) =>
+                this.sendServerError(req, res, "CSP report", err)
+            );
+
+        if (req.method !== "GET" && req.method !== "HEAD")
+            return this.sendText(req, res, 405, "405 Method Not Allowed", {
+                Allow: "GET, HEAD",
+            });
+
+        if (pathname === HEALTH_PATH || pathname === READY_PATH)
+            return this.handleHealth(req, res, pathname);
+
+        if (pathname === METRICS_PATH && !METRICS_PORT)
+            return this.handleMetrics(req, res).catch((err) =>
+                this.sendServerError(req, res, "Metrics", err)
+            );
+
+        if (pathname === STATS_PATH)
+            return this.handleStats(req, res).catch((err) =>
+                this.sendServerError(req, res, "Statistics", err)
+            );
+
+        if (this.handleLocale(req, res, url)) return;
+
+        const entry = this.files.get(pathname);
+        if (entry && this.hasContactForm(pathname)) this.issueContactToken(res);
+        if (entry) return this.serveFile(req, res, entry);
+        if (this.files.has(`${pathname}/index.html`))
+            return this.redirect(req, res, 301, `${pathname}/${url.search}`);
+
+        this.serveFallback(req, res, pathname).catch((err) =>
+            this.sendServerError(req, res, "Fallback", err)
+        );
+    }
+}
+
+async function readCertificate() {
+    const [cert, key] = await Promise.all(
+        [TLS_CERT, TLS_KEY].map((file) => fs.promises.readFile(file))
+    );
+    return { cert, key };
+}
+
+// Renewals often swap symlinks, which fs.watch loses track of, so the files
+// are polled instead. A certificate that fails to load keeps the old one.
+function watchCertificate(server) {
+    let timer = null;
+    const reload = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            readCertificate()
+                .then((context) => {
+                    server.setSecureContext(context);
+                    console.log("TLS certificate reloaded");
+                })
+                .catch((err) =>
+                    console.error("TLS certificate reload failed:", err)
+                );
+        }, 1000);
+    };
+
+    [TLS_CERT, TLS_KEY].forEach((file) =>
+        fs.watchFile(file, { interval: CERT_POLL_MS }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) reload();
+        })
+    );
+}
+
+function describeError(err) {
+    return err instanceof VerificationError || err instanceof SchemaError
+        ? err.message
+        : err;
+}
+
+// Remembers the open connections and HTTP/2 sessions of `server` so that a
+// shutdown can wait for them and cut whatever is left after the timeout.
+function trackConnections(server) {
+    const tracked = { server, sockets: new Set(), sessions: new Set() };
+    server.on("connection", (socket) => {
+        tracked.sockets.add(socket);
+        socket.once("close", () => tracked.sockets.delete(socket));
+    });
+    server.on("session", (session) => {
+        tracked.sessions.add(session);
+        session.once("close", () => tracked.sessions.delete(session));
+    });
+    return tracked;
+}
+
+async function drain(listeners) {
+    const closed = Promise.all(
+        listeners.map(
+            ({ server, sessions }) =>
+                new Promise((resolve) => {
+                    server.close(() => resolve(false));
+                    if (server.closeIdleConnections)
+                        server.closeIdleConnections();
+                    sessions.forEach((session) => session.close());
+                })
+        )
+    );
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(resolve, DRAIN_TIMEOUT_MS, true);
+    });
+
+    const timedOut = await Promise.race([closed, timeout]);
+    clearTimeout(timer);
+    if (timedOut === true) {
+        console.warn("Drain timed out, closing the remaining connections");
+        listeners.forEach(({ sockets }) =>
+            sockets.forEach((socket) => socket.destroy())
+        );
+    }
+}
+
+// Later signals are ignored so that a drain is never cut short.
+function onShutdown(shutdown) {
+    let shuttingDown = false;
+    ["SIGTERM", "SIGINT"].forEach((signal) =>
+        process.on(signal, () => {
+            if (shuttingDown) return;
+            shuttingDown = true;
+            shutdown(signal).then(
+                () => process.exit(0),
+                (err) => {
+                    console.error("Shutdown failed:", err);
+                    process.exit(1);
+                }
+            );
+        })
+    );
+}
+
+// Cluster workers go through the primary for what they share. Their
+// clients are made once, since reloads hand them over to the next processor.
+let workerServices = null;
+function createProcessor() {
+    if (cluster.isWorker && !workerServices) {
+        const metrics = createMetrics(new RegistryClient(cluster.worker.id));
+        const reportMemory = () =>
+            metrics.memory.set({}, process.memoryUsage().rss);
+        reportMemory();
+        setInterval(reportMemory, MEMORY_REPORT_MS).unref();
+        workerServices = {
+            analytics: new AnalyticsClient(),
+            limiters: {
+                contact: new RateLimiterClient("contact"),
+                auth: new RateLimiterClient("auth"),
+                report: new RateLimiterClient("report"),
+            },
+            metrics,
+            cspReports: new CSPReportStoreClient(),
+        };
+    }
+    return new AssetProcessor({ dev: DEV, ...workerServices });
+}
+
+// The primary keeps what the workers share: analytics, rate limits,
+// metrics and CSP reports.
+async function startPrimary() {
+    const analytics = new Analytics({ file: ANALYTICS_FILE });
+    await analytics.load();
+    const cspReports = new CSPReportStore({ file: CSP_REPORTS_FILE });
+    await cspReports.load();
+    const limiters = createLimiters();
+    const metrics = createMetrics();
+
+    const stop = await startCluster({
+        workers: CLUSTER_WORKERS,
+        env: { CONTACT_SECRET },
+        serve: (worker) => {
+            serveAnalytics(worker, analytics);
+            serveRateLimiters(worker, limiters);
+            serveMetrics(worker, metrics.registry);
+            serveCSPReports(worker, cspReports);
+        },
+    });
+
+    onShutdown(async (signal) => {
+        console.log(`${signal} received, stopping workers...`);
+        await stop();
+        await analytics.flush();
+    });
+}
+
+async function start() {
+    if (!TLS_CERT !== !TLS_KEY)
+        throw new Error("TLS needs both TLS_CERT and TLS_KEY to be set");
+    if (
+        CLUSTER_WORKERS &&
+        cluster.isPrimary &&
+        !DEV &&
+        !VERIFY_ONLY &&
+        !EXPORT_DIR
+    )
+        return startPrimary();
+
+    let processor = createProcessor();
+    await processor.build();
+    if (VERIFY_ONLY) return console.log("Verification passed");
+    if (EXPORT_DIR)
+        return exportStatic({
+            entries: processor.entries(),
+            securityHeaders: processor.getSecurityHeaders(),
+            outDir: EXPORT_DIR,
+            root: ROOT,
+        });
+    if (DEV) processor.watch();
+    await processor.analytics.load();
+    await processor.cspReports.load();
+
+    const listeners = [];
+    const listen = (server, options, message) => {
+        listeners.push(trackConnections(server));
+        server.listen(options, () => console.log(message));
+    };
+    const handler = (req, res) => processor.handleRequest(req, res);
+
+    if (METRICS_PORT)
+        listen(
+            http.createServer((req, res) =>
+                new URL(req.url, "http://localhost").pathname === METRICS_PATH
+                    ? processor
+                          .handleMetrics(req, res, { dedicated: true })
+                          .catch((err) =>
+                              processor.sendServerError(
+                                  req,
+                                  res,
+                                  "Metrics",
+                                  err
+                              )
+                          )
+                    : processor.sendText(req, res, 404, "404 Not Found")
+            ),
+            { port: METRICS_PORT, host: METRICS_HOST },
+            `Metrics on http://${METRICS_HOST}:${METRICS_PORT}${METRICS_PATH}`
+        );
+
+    if (TLS_CERT) {
+        const server = http2.createSecureServer(
+            { ...(await readCertificate()), allowHTTP1: true },
+            handler
+        );
+        watchCertificate(server);
+        listen(
+            server,
+            { port: HTTPS_PORT },
+            `Server running on https://localhost:${HTTPS_PORT}`
+        );
+        listen(
+            http.createServer((req, res) =>
+                processor.redirectToHTTPS(req, res)
+            ),
+            { port: PORT },
+            `Redirecting http://localhost:${PORT} to HTTPS`
+        );
+    } else {
+        listen(
+            http.createServer(handler),
+            { port: PORT },
+            `Server running on http://localhost:${PORT}`
+        );
+    }
+
+    // SIGHUP builds a fresh processor next to the current one and swaps it
+    // in only if the build passed; requests keep using the old one meanwhile.
+    let stopping = false;
+    let reloading = Promise.resolve();
+    const reload = async () => {
+        console.log("Reloading assets...");
+        const next = createProcessor();
+        next.adopt(processor);
+        try {
+            await next.build();
+        } catch (err) {
+            console.error(
+                "Reload failed, keeping the current assets:",
+                describeError(err)
+            );
+            return;
+        }
+        if (stopping) return;
+        processor = next;
+        console.log("Reload complete");
+    };
+    if (!DEV)
+        process.on("SIGHUP", () => {
+            reloading = reloading.then(reload);
+        });
+
+    onShutdown(async (signal) => {
+        stopping = true;
+        console.log(`${signal} received, draining connections...`);
+        processor.ready = false;
+        processor.draining = true;
+        processor.reloadClients.forEach((res) => res.end());
+        await drain(listeners);
+        await processor.analytics.flush();
     });
 }
 
 start().catch((err) => {
-    console.error("Server failed:", err);
+    console.error("Server failed:", describeError(err));
     process.exit(1);
 });
@@ -0,0 +1,52 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { rewriteCSSUrls, rewriteHTMLUrls } = require("../lib/asset-urls");
+const { renderMarkdown } = require("../lib/markdown");
+
+const HASHED = {
+    "style.css": "style.1e74c4d6.css",
+    "a.webp": "a.0f00ba44.webp",
+};
+const rewrite = (url) =>
+    url.replace(/^(\/?)([^?#]*)/, (match, slash, name) =>
+        HASHED[name] ? slash + HASHED[name] : match
+    );
+
+test("rewrites href, src, srcset and style URLs", () => {
+    assert.strictEqual(
+        rewriteHTMLUrls(
+            '<link rel=stylesheet href="style.css"><img src=/a.webp' +
+                " srcset='/a.webp 1x, other.webp 2x' style=\"background:url(a.webp)\">",
+            rewrite
+        ),
+        '<link rel=stylesheet href="style.1e74c4d6.css"><img src=/a.0f00ba44.webp' +
+            " srcset='/a.0f00ba44.webp 1x, other.webp 2x' style=\"background:url(a.0f00ba44.webp)\">"
+    );
+    assert.strictEqual(
+        rewriteHTMLUrls(
+            "<style>b{background:url('/a.webp#x')}</style>",
+            rewrite
+        ),
+        "<style>b{background:url('/a.0f00ba44.webp#x')}</style>"
+    );
+    assert.strictEqual(
+        rewriteCSSUrls('@import url("style.css?v=1");', rewrite),
+        '@import url("style.1e74c4d6.css?v=1");'
+    );
+});
+
+test("leaves prose and code mentioning an asset unchanged", () => {
+    const html = renderMarkdown(
+        [
+            "Edit style.css, then /a.webp is (style.css) too.",
+            "",
+            "```html",
+            '<link href="style.css">',
+            "```",
+            "",
+            "Inline `url(a.webp)` and `src=style.css`.",
+        ].join("\n")
+    );
+    assert.strictEqual(rewriteHTMLUrls(html, rewrite), html);
+    assert.match(html, /Edit style\.css/);
+});
@@ -0,0 +1,165 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const {
+    readPost,
+    loadPosts,
+    indexData,
+    absoluteLinks,
+    generateRSS,
+    generateAtom,
+} = require("../lib/blog");
+const { SchemaError } = require("../lib/schema");
+
+const options = { locales: ["fr", "en"], defaultLocale: "fr" };
+const source = (fields) =>
+    ["---", ...fields, "---", "Hello *world*, see [more](/more/)."].join("\n");
+
+test("reads a post with its defaults and rendered body", () => {
+    const post = readPost(
+        "posts/first-post.md",
+        source(["title: First", "date: 2026-01-02", "description: D"]),
+        options
+    );
+    assert.strictEqual(post.path, "/blog/first-post/");
+    assert.strictEqual(post.lang, "fr");
+    assert.strictEqual(post.updated, "2026-01-02");
+    assert.strictEqual(post.draft, false);
+    assert.deepStrictEqual(post.tags, []);
+    assert.strictEqual(
+        post.html,
+        '<p>Hello <em>world</em>, see <a href="/more/">more</a>.</p>'
+    );
+});
+
+test("rejects invalid names, languages and front matter", () => {
+    const fields = ["title: T", "date: 2026-01-02", "description: D"];
+    assert.throws(
+        () => readPost("posts/Bad_Name.md", source(fields), options),
+        SchemaError
+    );
+    assert.throws(
+        () => readPost("posts/a.md", source([...fields, "lang: de"]), options),
+        SchemaError
+    );
+    assert.throws(
+        () => readPost("posts/a.md", "---\ntitle: T\n", options),
+        SchemaError
+    );
+});
+
+test("lists the posts of a tag and merges tags differing in case", () => {
+    const posts = [
+        {
+            title: "A",
+            path: "/blog/a/",
+            date: "2026-02-01",
+            lang: "fr",
+            tags: ["Node.js"],
+        },
+        {
+            title: "B",
+            path: "/blog/b/",
+            date: "2026-01-01",
+            lang: "en",
+            tags: ["node-js", "CSS"],
+        },
+    ];
+    const all = indexData(posts, null, "fr");
+    assert.deepStrictEqual(
+        all.tags.map(({ name, path }) => [name, path]),
+        [
+            ["CSS", "/blog/tags/css/"],
+            ["Node.js", "/blog/tags/node-js/"],
+        ]
+    );
+    assert.strictEqual(all.posts[1].foreignLang, "en");
+
+    const css = indexData(posts, all.tags[0], "fr");
+    assert.deepStrictEqual(
+        css.posts.map(({ title }) => title),
+        ["B"]
+    );
+    assert.deepStrictEqual(
+        css.tags.map(({ current }) => current),
+        [true, false]
+    );
+});
+
+test("escapes post content in feeds and links posts under the blog", () => {
+    const post = readPost(
+        "posts/a.md",
+        source(["title: A & B", "date: 2026-01-02", "description: D"]),
+        options
+    );
+    const feed = generateAtom([post], {
+        title: "Blog",
+        description: "Posts",
+        url: "https://example.com/blog/",
+        language: "fr",
+        author: "Ana",
+        content: (item) => item.html,
+    });
+    assert.match(feed, /<title>A &amp; B<\/title>/);
+    assert.match(feed, /<id>https:\/\/example\.com\/blog\/a\/<\/id>/);
+    assert.match(feed, /<updated>2026-01-02T00:00:00Z<\/updated>/);
+    assert.match(feed, /&lt;em&gt;world&lt;\/em&gt;/);
+});
+
+test("loads the posts of a directory newest first, drafts only if asked", async () => {
+    const load = (drafts) =>
+        loadPosts({
+            root: path.join(__dirname, "fixtures"),
+            dir: "posts",
+            locales: ["fr", "en"],
+            defaultLocale: "fr",
+            drafts,
+        });
+
+    const published = await load(false);
+    assert.deepStrictEqual(
+        published.map(({ slug, lang }) => [slug, lang]),
+        [
+            ["hello-world", "en"],
+            ["older-post", "fr"],
+        ]
+    );
+    assert.strictEqual(published[0].file, "posts/hello-world.md");
+    assert.deepStrictEqual(
+        (await load(true)).map(({ slug }) => slug),
+        ["work-in-progress", "hello-world", "older-post"]
+    );
+});
+
+test("builds feeds of the fixture posts with absolute links", async () => {
+    const posts = await loadPosts({
+        root: path.join(__dirname, "fixtures"),
+        dir: "posts",
+        locales: ["fr", "en"],
+        defaultLocale: "fr",
+        drafts: false,
+    });
+    const feed = generateRSS(posts, {
+        title: "Blog",
+        description: "Posts",
+        url: "https://example.com/blog/",
+        language: "fr",
+        author: "Ana",
+        content: (post) =>
+            absoluteLinks(post.html, `https://example.com${post.path}`),
+    });
+    assert.match(
+        feed,
+        /<lastBuildDate>Sun, 01 Feb 2026 00:00:00 GMT<\/lastBuildDate>/
+    );
+    assert.match(
+        feed,
+        /<link>https:\/\/example\.com\/blog\/hello-world\/<\/link>/
+    );
+    assert.match(
+        feed,
+        /href=&quot;https:\/\/example\.com\/blog\/other\/&quot;/
+    );
+    assert.strictEqual(feed.match(/<item>/g).length, 2);
+    assert.doesNotMatch(feed, /Work in progress/);
+});
@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { affectedTasks } = require("../lib/build-tasks");
+
+const tasks = [
+    { file: "favicon.webp" },
+    { file: "style.css", uses: ["/favicon.webp"] },
+    {
+        file: "index.html",
+        dependencies: ["content.json"],
+        uses: ["/style.css", "/favicon.webp"],
+    },
+    { output: "cv.pdf", dependencies: ["content.json"] },
+    { output: "robots.txt" },
+    { output: "sitemap.xml", dependencies: ["index.html", "content.json"] },
+    {
+        output: "manifest.webmanifest",
+        uses: ["/index.html", "/favicon.webp"],
+    },
+    {
+        output: "sw.js",
+        uses: ["/favicon.webp", "/style.css", "/index.html", "/cv.pdf"],
+    },
+];
+const outputs = (changed) =>
+    affectedTasks(tasks, changed).map(({ file, output = file }) => output);
+
+test("runs the tasks using the outputs of changed tasks", () => {
+    assert.deepStrictEqual(outputs(["style.css"]), [
+        "style.css",
+        "index.html",
+        "manifest.webmanifest",
+        "sw.js",
+    ]);
+    assert.deepStrictEqual(outputs(["favicon.webp"]), [
+        "favicon.webp",
+        "style.css",
+        "index.html",
+        "manifest.webmanifest",
+        "sw.js",
+    ]);
+});
+
+test("runs the tasks reading a changed dependency", () => {
+    assert.deepStrictEqual(outputs(["content.json"]), [
+        "index.html",
+        "cv.pdf",
+        "sitemap.xml",
+        "manifest.webmanifest",
+        "sw.js",
+    ]);
+    assert.deepStrictEqual(outputs(["notes.txt"]), []);
+});
+
+test("runs the tasks referencing the output of changed tasks", () => {
+    const references = new Map([["/robots.txt", ["/favicon.webp"]]]);
+    assert.ok(
+        affectedTasks(tasks, ["favicon.webp"], references).some(
+            ({ output }) => output === "robots.txt"
+        )
+    );
+});
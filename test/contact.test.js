@@ -0,0 +1,130 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { Readable } = require("stream");
+const {
+    issueFormToken,
+    formTokenAge,
+    screenForm,
+    validateContact,
+    submitContact,
+} = require("../lib/contact");
+
+const secret = "test secret";
+const options = { secret, minSeconds: 3, maxSeconds: 3600, now: 10000 };
+
+test("tells the age of its own tokens only", () => {
+    const token = issueFormToken(secret, 4000);
+    assert.strictEqual(formTokenAge(token, secret, 10000), 6);
+    assert.strictEqual(formTokenAge(token, "other secret", 10000), null);
+    assert.strictEqual(formTokenAge(token.replace(/^4/, "1"), secret), null);
+    assert.strictEqual(formTokenAge(undefined, secret), null);
+    assert.strictEqual(formTokenAge("4000", secret), null);
+});
+
+test("tells bots from expired forms", () => {
+    const screen = (fields, token) => screenForm(fields, token, options);
+    assert.strictEqual(screen({}, issueFormToken(secret, 4000)), null);
+    assert.strictEqual(
+        screen({ website: "x" }, issueFormToken(secret, 4000)),
+        "spam"
+    );
+    assert.strictEqual(screen({}, issueFormToken(secret, 9000)), "spam");
+    assert.strictEqual(screen({}, undefined), "expired");
+    assert.strictEqual(screen({}, "4000.forged"), "expired");
+    assert.strictEqual(
+        screen({}, issueFormToken(secret, 10000 - 3601 * 1000)),
+        "expired"
+    );
+});
+
+test("validates the fields", () => {
+    assert.deepStrictEqual(
+        validateContact({ name: "Ann", email: "a@b.co", message: "Hi" }),
+        {}
+    );
+    assert.deepStrictEqual(
+        validateContact({
+            name: " ",
+            email: "nope",
+            message: "x".repeat(5001),
+        }),
+        { name: "required", email: "invalid", message: "tooLong" }
+    );
+});
+
+const VALID = { name: "Ann", email: "a@b.co", message: "Hi" };
+
+// Submits `fields` as a urlencoded form, collecting what gets delivered.
+async function submit(fields, token) {
+    const req = Readable.from([
+        Buffer.from(new URLSearchParams(fields).toString()),
+    ]);
+    req.headers = { "content-type": "application/x-www-form-urlencoded" };
+    req.httpVersionMajor = 1;
+    const sent = [];
+    const result = await submitContact(req, {
+        ...options,
+        token,
+        client: "127.0.0.1",
+        limiter: { hit: async () => ({ allowed: true }) },
+        transport: { send: async (mail) => sent.push(mail) },
+        maxBytes: 1024,
+        locale: "fr",
+        locales: ["fr", "en"],
+    });
+    return { ...result, sent };
+}
+
+test("delivers a valid form with a valid token", async () => {
+    const result = await submit(VALID, issueFormToken(secret, 4000));
+    assert.strictEqual(result.statusCode, 200);
+    assert.strictEqual(result.outcome, "sent");
+    assert.strictEqual(result.renewToken, undefined);
+    assert.strictEqual(result.sent.length, 1);
+});
+
+test("asks to resend a form posted without a token, with a new one", async () => {
+    const result = await submit({ ...VALID, lang: "en" }, undefined);
+    assert.strictEqual(result.statusCode, 409);
+    assert.strictEqual(result.outcome, "expired");
+    assert.strictEqual(result.locale, "en");
+    assert.strictEqual(result.renewToken, true);
+    assert.deepStrictEqual(result.headers, { "Retry-After": 3 });
+    assert.deepStrictEqual(result.sent, []);
+});
+
+test("asks to resend a form whose token expired or was signed by another secret", async () => {
+    for (const token of [
+        issueFormToken(secret, 10000 - 3601 * 1000),
+        issueFormToken("former secret", 4000),
+    ]) {
+        const result = await submit(VALID, token);
+        assert.strictEqual(result.statusCode, 409);
+        assert.strictEqual(result.renewToken, true);
+        assert.deepStrictEqual(result.sent, []);
+    }
+});
+
+test("reports invalid fields before an expired token", async () => {
+    const result = await submit({ name: "Ann", email: "nope" }, undefined);
+    assert.strictEqual(result.statusCode, 422);
+    assert.strictEqual(result.outcome, "invalid");
+    assert.deepStrictEqual(result.errors, {
+        email: "invalid",
+        message: "required",
+    });
+    assert.strictEqual(result.renewToken, true);
+});
+
+test("tells bots their message was sent without delivering it", async () => {
+    for (const [fields, token] of [
+        [{ ...VALID, website: "x" }, issueFormToken(secret, 4000)],
+        [{ ...VALID, website: "x" }, undefined],
+        [VALID, issueFormToken(secret, 9000)],
+    ]) {
+        const result = await submit(fields, token);
+        assert.strictEqual(result.statusCode, 200);
+        assert.strictEqual(result.outcome, "sent");
+        assert.deepStrictEqual(result.sent, []);
+    }
+});
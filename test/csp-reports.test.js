@@ -0,0 +1,98 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    CSPReportStore,
+    CSPReportStoreClient,
+    parseReports,
+    serveCSPReports,
+} = require("../lib/csp-reports");
+
+const REPORT = {
+    "csp-report": {
+        "document-uri": "https://example.com/page?token=secret",
+        "blocked-uri": "https://evil.example/x.js#y",
+        "effective-directive": "script-src-elem",
+        disposition: "enforce",
+        "line-number": 3,
+        "column-number": 7,
+    },
+};
+
+async function withStore(run) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "csp-"));
+    const file = path.join(dir, "reports.jsonl");
+    try {
+        await run(file);
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+const lines = async (file) =>
+    (await fs.promises.readFile(file, "utf8")).split("\n").filter(Boolean);
+
+test("keeps the origin and path of reported URLs", () => {
+    const [report] = parseReports("application/csp-report", REPORT);
+    assert.strictEqual(report.documentURL, "https://example.com/page");
+    assert.strictEqual(report.blockedURL, "https://evil.example/x.js");
+    assert.strictEqual(report.directive, "script-src-elem");
+    assert.deepStrictEqual(
+        parseReports("application/reports+json", [
+            { type: "deprecation", body: {} },
+        ]),
+        []
+    );
+});
+
+test("stores each violation once, across restarts", async () => {
+    await withStore(async (file) => {
+        const [report] = parseReports("application/csp-report", REPORT);
+        const store = new CSPReportStore({ file });
+        await store.load();
+        assert.strictEqual(await store.add(report), true);
+        assert.strictEqual(await store.add({ ...report, column: 9 }), false);
+
+        const restarted = new CSPReportStore({ file });
+        await restarted.load();
+        assert.strictEqual(await restarted.add(report), false);
+        assert.strictEqual((await lines(file)).length, 1);
+    });
+});
+
+// A worker and its process as seen by each other.
+function channelPair() {
+    const worker = new EventEmitter();
+    const child = new EventEmitter();
+    worker.send = (message) =>
+        setImmediate(() => child.emit("message", structuredClone(message)));
+    child.send = (message) =>
+        setImmediate(() => worker.emit("message", structuredClone(message)));
+    return { worker, child };
+}
+
+test("stores a violation reported to several workers once", async () => {
+    await withStore(async (file) => {
+        const store = new CSPReportStore({ file });
+        await store.load();
+        const clients = [channelPair(), channelPair()].map(
+            ({ worker, child }) => {
+                serveCSPReports(worker, store);
+                return new CSPReportStoreClient(child);
+            }
+        );
+
+        const [report] = parseReports("application/csp-report", REPORT);
+        const added = await Promise.all(
+            [...clients, ...clients].map((client) => client.add(report))
+        );
+        assert.deepStrictEqual(added.sort(), [false, false, false, true]);
+
+        const stored = (await lines(file)).map((line) => JSON.parse(line));
+        assert.strictEqual(stored.length, 1);
+        assert.strictEqual(stored[0].blockedURL, "https://evil.example/x.js");
+    });
+});
@@ -0,0 +1,101 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    EXPORT_MARKER,
+    prepareExportDir,
+    generateNginxConfig,
+    exportStatic,
+} = require("../lib/export");
+
+let tmp;
+let root;
+
+beforeEach(async () => {
+    tmp = await fs.promises.mkdtemp(path.join(os.tmpdir(), "export-"));
+    root = path.join(tmp, "site");
+    await fs.promises.mkdir(path.join(root, "lib"), { recursive: true });
+    await fs.promises.writeFile(path.join(root, "lib", "keep.js"), "");
+});
+
+afterEach(() => fs.promises.rm(tmp, { recursive: true, force: true }));
+
+const exists = (file) => fs.existsSync(file);
+
+test("refuses the root and its ancestors", async () => {
+    for (const dir of [root, tmp, path.parse(tmp).root])
+        await assert.rejects(prepareExportDir(dir, root), /Refusing/);
+    assert.ok(exists(path.join(root, "lib", "keep.js")));
+});
+
+test("refuses a directory that is not empty and holds no export", async () => {
+    await assert.rejects(
+        prepareExportDir(path.join(root, "lib"), root),
+        /holds no previous export/
+    );
+    assert.ok(exists(path.join(root, "lib", "keep.js")));
+});
+
+test("creates a missing directory and accepts an empty one", async () => {
+    const missing = path.join(root, "dist");
+    await prepareExportDir(missing, root);
+    assert.deepStrictEqual(await fs.promises.readdir(missing), []);
+    await prepareExportDir(missing, root);
+});
+
+test("clears a previous export", async () => {
+    const outDir = path.join(root, "dist");
+    await fs.promises.mkdir(outDir);
+    await fs.promises.writeFile(path.join(outDir, EXPORT_MARKER), "");
+    await fs.promises.writeFile(path.join(outDir, "stale.html"), "");
+
+    await prepareExportDir(outDir, root);
+    assert.deepStrictEqual(await fs.promises.readdir(outDir), []);
+});
+
+test("marks what it writes as an export", async () => {
+    const outDir = path.join(root, "dist");
+    const entry = {
+        path: "/index.html",
+        body: Buffer.from("<p>hi</p>"),
+        gz: Buffer.from("gz"),
+        type: "text/html; charset=utf-8",
+        cache: "no-cache",
+        mtimeMs: Date.UTC(2024, 0, 1),
+    };
+    const options = {
+        entries: [entry],
+        securityHeaders: { "X-Frame-Options": "DENY" },
+        outDir,
+        root,
+    };
+    await exportStatic(options);
+    await exportStatic(options);
+
+    assert.deepStrictEqual((await fs.promises.readdir(outDir)).sort(), [
+        EXPORT_MARKER,
+        "_headers",
+        "index.html",
+        "index.html.gz",
+        "nginx.conf",
+    ]);
+    const headers = await fs.promises.readFile(
+        path.join(outDir, "_headers"),
+        "utf8"
+    );
+    assert.match(headers, /^\/\*\n {2}X-Frame-Options: DENY$/m);
+    assert.match(headers, /^\/\n {2}Content-Type: text\/html/m);
+});
+
+test("leaves brotli_static to servers with ngx_brotli", () => {
+    const config = generateNginxConfig(
+        [{ path: "/index.html", type: "text/html", cache: "no-cache" }],
+        { "X-Frame-Options": "DENY" }
+    );
+    assert.match(config, /^gzip_static on;$/m);
+    assert.match(config, /^# brotli_static on;$/m);
+    assert.doesNotMatch(config, /^\s*brotli_static/m);
+    assert.match(config, /^ {4}add_header X-Frame-Options "DENY" always;$/m);
+});
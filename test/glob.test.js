@@ -0,0 +1,49 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { globToRegExp, createMatcher, expandGlobs } = require("../lib/glob");
+
+test("translates wildcards, directory wildcards and alternatives", () => {
+    assert.strictEqual(globToRegExp("*.js").test("a.js"), true);
+    assert.strictEqual(globToRegExp("*.js").test("lib/a.js"), false);
+    assert.strictEqual(globToRegExp("a?.css").test("ab.css"), true);
+    assert.strictEqual(globToRegExp("a?.css").test("a/.css"), false);
+    assert.strictEqual(globToRegExp("**/*.md").test("a.md"), true);
+    assert.strictEqual(globToRegExp("**/*.md").test("a/b/c.md"), true);
+    assert.strictEqual(globToRegExp("*.{css,js}").test("a.js"), true);
+    assert.strictEqual(globToRegExp("*.{css,js}").test("a.json"), false);
+    assert.strictEqual(globToRegExp("a+b(1).txt").test("a+b(1).txt"), true);
+});
+
+test("rejects an unclosed alternative", () => {
+    assert.throws(() => globToRegExp("*.{css,js"), SyntaxError);
+});
+
+test("matches names at any depth unless the pattern has a slash", () => {
+    const matches = createMatcher(["*.webp", "img/*.png"]);
+    assert.strictEqual(matches("a.webp"), true);
+    assert.strictEqual(matches("img/deep/a.webp"), true);
+    assert.strictEqual(matches("img/a.png"), true);
+    assert.strictEqual(matches("other/img/a.png"), false);
+    assert.strictEqual(matches("A.WEBP"), false);
+});
+
+test("lists matching files sorted, without visiting skipped paths", async () => {
+    const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), "glob-"));
+    try {
+        for (const file of ["b.js", "a.js", "lib/c.js", "img/d.js", "e.css"]) {
+            await fs.promises.mkdir(path.join(root, path.dirname(file)), {
+                recursive: true,
+            });
+            await fs.promises.writeFile(path.join(root, file), "");
+        }
+        assert.deepStrictEqual(
+            await expandGlobs(root, "*.js", (file) => file === "lib"),
+            ["a.js", "b.js", "img/d.js"]
+        );
+    } finally {
+        await fs.promises.rm(root, { recursive: true, force: true });
+    }
+});
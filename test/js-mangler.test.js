@@ -0,0 +1,104 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const vm = require("vm");
+const { mangle } = require("../lib/js-mangler");
+
+const minify = (src) =>
+    mangle(src, { generateName: (i) => `n${i}`, compact: true });
+
+// What `src` logs, run with console.log collecting its arguments.
+function run(src) {
+    const logged = [];
+    vm.runInNewContext(src, {
+        console: { log: (...args) => logged.push(args) },
+    });
+    return logged;
+}
+
+const behavesAlike = (src) =>
+    assert.deepStrictEqual(run(minify(src)), run(src));
+
+test("strips comments without reading quotes inside them", () => {
+    const src = "// it's here\nconst a = 'x';\nconsole.log(a); // don't";
+    assert.strictEqual(minify(src), "const n0='x';console.log(n0);");
+});
+
+test("keeps comment-like text in strings, templates and regexes", () => {
+    behavesAlike(
+        "const r = /\\/\\/ x/; const s = '// no'; const t = `/* ${1} */`; console.log(r.source, s, t)"
+    );
+    assert.match(minify("const r = /\\/\\/ x/;"), /\/\\\/\\\/ x\//);
+});
+
+test("keeps the line ends automatic semicolon insertion needs", () => {
+    behavesAlike("const a = 1\nconst b = 2\nconsole.log(a + b)");
+    behavesAlike("function f() { return\n42 }\nconsole.log(f())");
+    behavesAlike("let a = 1, b = 2\na\n++b\nconsole.log(a, b)");
+    behavesAlike("const a = [1]\nconst b = a\n[0]\nconsole.log(b)");
+});
+
+test("drops line ends that do not end a statement", () => {
+    assert.strictEqual(
+        minify("const a = {\n    b: 1,\n};\nconsole\n    .log(a)"),
+        "const n0={b:1,};console.log(n0)"
+    );
+});
+
+test("keeps the spaces between tokens that would run together", () => {
+    const src =
+        "const x = 1 + +2, y = 3 - -1, z = 4 / /2/.source.length;\nconsole.log(x, y, z, 1 .toFixed(1), typeof x)";
+    assert.doesNotThrow(() => new vm.Script(minify(src)));
+    behavesAlike(src);
+});
+
+test("leaves out semicolons before a closing brace but not empty statements", () => {
+    assert.strictEqual(
+        minify("function f() { let a = 1; return a; }"),
+        "function n0(){let n1=1;return n1}"
+    );
+    assert.strictEqual(
+        minify("function f(a) { if (a) ; }"),
+        "function n0(n1){if(n1);}"
+    );
+});
+
+test("renames locals but not properties or globals", () => {
+    assert.strictEqual(
+        minify(
+            "function greet(name) { const o = { name }; return o.name + window.name; }"
+        ),
+        "function n0(n1){const n2={name:n1};return n2.name+window.name}"
+    );
+});
+
+test("throws on source it cannot tokenize", () => {
+    assert.throws(() => minify("const a = 'open"), SyntaxError);
+});
+
+test("renames a function declared in a block where sloppy code calls it", () => {
+    behavesAlike(
+        "var x = 1; if (x) { function inner() { return 2 } } console.log(inner())"
+    );
+    behavesAlike(
+        "(function () { if (true) { function inner() { return 3 } } console.log(inner(), typeof inner) })()"
+    );
+    behavesAlike(
+        "(function () { let f = 1; { function f() {} } console.log(typeof f) })()"
+    );
+    assert.strictEqual(
+        minify("function o() { if (x) { function inner() {} } inner() }"),
+        "function n0(){if(x){function n1(){}}n1()}"
+    );
+});
+
+test("keeps a function declared in a strict block to that block", () => {
+    const src =
+        '"use strict"; var f = () => 1; { function f() { return 2 } console.log(f()) } console.log(f())';
+    behavesAlike(src);
+    behavesAlike(
+        "(function () { 'use strict'; { function g() {} } console.log(typeof g) })()"
+    );
+    behavesAlike(
+        "class A { m() { { function g() {} } return typeof g } } console.log(new A().m())"
+    );
+});
@@ -0,0 +1,84 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { encodeHeader, formatMail } = require("../lib/mail");
+
+const decode = (header) =>
+    header
+        .split("\r\n ")
+        .map((word) => {
+            const match = /^=\?UTF-8\?B\?([A-Za-z0-9+/=]+)\?=$/.exec(word);
+            assert.ok(match, `not an encoded word: ${word}`);
+            return Buffer.from(match[1], "base64").toString("utf8");
+        })
+        .join("");
+
+test("leaves printable ASCII headers as they are", () => {
+    assert.strictEqual(encodeHeader("Hello, world!"), "Hello, world!");
+    assert.strictEqual(encodeHeader(""), "");
+});
+
+test("encodes other headers as UTF-8 words of at most 75 characters", () => {
+    const value = "Message de Zoë : « bonjour » 👋 ".repeat(4);
+    const header = encodeHeader(value);
+    assert.strictEqual(decode(header), value);
+    header.split("\r\n ").forEach((word) => assert.ok(word.length <= 75, word));
+    assert.ok(header.includes("\r\n "));
+});
+
+test("never splits a character across encoded words", () => {
+    const value = "é".repeat(40) + "😀".repeat(20);
+    const header = encodeHeader(value);
+    header.split("\r\n ").forEach((word) => {
+        const text = decode(word);
+        assert.ok(!text.includes("�"), word);
+    });
+    assert.strictEqual(decode(header), value);
+});
+
+test("also encodes control characters, so they cannot add headers", () => {
+    const header = encodeHeader("Hi\r\nBcc: x@y.z");
+    assert.doesNotMatch(header, /Bcc/);
+    assert.strictEqual(decode(header), "Hi\r\nBcc: x@y.z");
+});
+
+test("formats a message with encoded subject and a wrapped base64 body", () => {
+    const mail = formatMail({
+        from: "site@example.com",
+        to: "me@example.com",
+        replyTo: "ann@example.org",
+        subject: "Contact : Anaïs",
+        text: "Bonjour ".repeat(30),
+        date: new Date("2026-01-02T03:04:05Z"),
+    });
+    const [head, body] = mail.split("\r\n\r\n");
+    const headers = head.split("\r\n");
+
+    assert.strictEqual(headers[0], "From: site@example.com");
+    assert.strictEqual(headers[1], "To: me@example.com");
+    assert.strictEqual(headers[2], "Reply-To: ann@example.org");
+    assert.strictEqual(
+        decode(headers[3].slice("Subject: ".length)),
+        "Contact : Anaïs"
+    );
+    assert.ok(headers.includes("Date: Fri, 02 Jan 2026 03:04:05 GMT"));
+    assert.match(head, /^Message-ID: <[0-9a-f-]{36}@example\.com>$/m);
+    assert.ok(headers.includes("Content-Transfer-Encoding: base64"));
+
+    const lines = body.split("\r\n").filter(Boolean);
+    lines.forEach((line) => assert.ok(line.length <= 76, line));
+    assert.ok(body.endsWith("\r\n"));
+    assert.strictEqual(
+        Buffer.from(lines.join(""), "base64").toString("utf8"),
+        "Bonjour ".repeat(30)
+    );
+});
+
+test("leaves out Reply-To when there is none", () => {
+    const mail = formatMail({
+        from: "a@b.c",
+        to: "d@e.f",
+        subject: "Hi",
+        text: "",
+    });
+    assert.doesNotMatch(mail, /Reply-To/);
+});
@@ -0,0 +1,90 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { parseFrontMatter, renderMarkdown } = require("../lib/markdown");
+
+test("parses front matter fields and lists", () => {
+    const { data, body } = parseFrontMatter(
+        [
+            "---",
+            'title: "Hello: world"',
+            "draft: false",
+            "tags: [css, 'it''s']",
+            "authors:",
+            "  - Ana",
+            "  - Bo",
+            "---",
+            "Body",
+        ].join("\n")
+    );
+    assert.deepStrictEqual(data, {
+        title: "Hello: world",
+        draft: false,
+        tags: ["css", "it's"],
+        authors: ["Ana", "Bo"],
+    });
+    assert.strictEqual(body, "Body");
+});
+
+test("rejects unclosed front matter and lines without a key", () => {
+    assert.throws(() => parseFrontMatter("---\ntitle: a\n"), SyntaxError);
+    assert.throws(() => parseFrontMatter("---\nno key\n---\n"), SyntaxError);
+});
+
+test("renders headings with unique ids", () => {
+    assert.strictEqual(
+        renderMarkdown("# Écrire du CSS\n\n## Écrire du CSS"),
+        '<h1 id="ecrire-du-css">Écrire du CSS</h1>\n' +
+            '<h2 id="ecrire-du-css-2">Écrire du CSS</h2>'
+    );
+});
+
+test("renders hard line breaks from trailing spaces and backslashes", () => {
+    assert.strictEqual(renderMarkdown("a  \nb"), "<p>a<br>\nb</p>");
+    assert.strictEqual(renderMarkdown("  a   \n  b  "), "<p>a<br>\nb</p>");
+    assert.strictEqual(renderMarkdown("a\\\nb"), "<p>a<br>\nb</p>");
+    assert.strictEqual(renderMarkdown("a \nb"), "<p>a \nb</p>");
+});
+
+test("renders nested emphasis", () => {
+    const cases = {
+        "**bold *and em***": "<strong>bold <em>and em</em></strong>",
+        "*em **and bold***": "<em>em <strong>and bold</strong></em>",
+        "***both***": "<strong><em>both</em></strong>",
+        "__a _b___": "<strong>a <em>b</em></strong>",
+        "*a* **b**": "<em>a</em> <strong>b</strong>",
+        snake_case_name: "snake_case_name",
+        "a * b * c": "a * b * c",
+    };
+    for (const [source, html] of Object.entries(cases))
+        assert.strictEqual(renderMarkdown(source), `<p>${html}</p>`, source);
+});
+
+test("escapes raw HTML and drops unsafe links", () => {
+    assert.strictEqual(
+        renderMarkdown('<script>alert("x")</script>'),
+        "<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</p>"
+    );
+    assert.strictEqual(
+        renderMarkdown("[click](javascript:alert(1))"),
+        "<p>click</p>"
+    );
+    assert.strictEqual(
+        renderMarkdown('[site](https://example.com "Home")'),
+        '<p><a href="https://example.com" title="Home">site</a></p>'
+    );
+});
+
+test("renders code, quotes and lists", () => {
+    assert.strictEqual(
+        renderMarkdown("```js\nif (a < b) {}\n```"),
+        '<pre><code class="language-js">if (a &lt; b) {}</code></pre>'
+    );
+    assert.strictEqual(
+        renderMarkdown("> quoted `a<b`"),
+        "<blockquote>\n<p>quoted <code>a&lt;b</code></p>\n</blockquote>"
+    );
+    assert.strictEqual(
+        renderMarkdown("3. three\n4. four\n   - nested"),
+        '<ol start="3">\n<li>three</li>\n<li>four\n<ul>\n<li>nested</li>\n</ul></li>\n</ol>'
+    );
+});
@@ -0,0 +1,93 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { EventEmitter } = require("events");
+const {
+    RateLimiter,
+    RateLimiterClient,
+    serveRateLimiters,
+} = require("../lib/rate-limiter");
+
+test("allows `limit` hits per window and tells when to retry", () => {
+    const limiter = new RateLimiter({ limit: 2, windowMs: 10000 });
+    assert.deepStrictEqual(limiter.hit("a", 1000), {
+        allowed: true,
+        remaining: 1,
+    });
+    assert.deepStrictEqual(limiter.hit("a", 2000), {
+        allowed: true,
+        remaining: 0,
+    });
+    assert.deepStrictEqual(limiter.hit("a", 2500), {
+        allowed: false,
+        retryAfter: 9,
+    });
+    assert.strictEqual(limiter.retryAfter("a", 2500), 9);
+    assert.strictEqual(limiter.hit("b", 2500).allowed, true);
+});
+
+test("slides the window rather than resetting it", () => {
+    const limiter = new RateLimiter({ limit: 2, windowMs: 10000 });
+    limiter.hit("a", 0);
+    limiter.hit("a", 5000);
+    assert.strictEqual(limiter.hit("a", 9999).allowed, false);
+    assert.strictEqual(limiter.hit("a", 10001).allowed, true);
+    assert.strictEqual(limiter.hit("a", 10002).allowed, false);
+    assert.strictEqual(limiter.retryAfter("a", 10002), 5);
+});
+
+test("does not count refused hits", () => {
+    const limiter = new RateLimiter({ limit: 1, windowMs: 1000 });
+    limiter.hit("a", 0);
+    for (let now = 100; now < 1000; now += 100) limiter.hit("a", now);
+    assert.strictEqual(limiter.hit("a", 1001).allowed, true);
+});
+
+test("forgets keys whose hits are all out of the window", () => {
+    const limiter = new RateLimiter({ limit: 1, windowMs: 1000 });
+    limiter.hit("a", 0);
+    limiter.hit("b", 1500);
+    assert.deepStrictEqual(Array.from(limiter.hits.keys()), ["b"]);
+});
+
+// A worker and its process as seen by each other.
+function channelPair() {
+    const worker = new EventEmitter();
+    const child = new EventEmitter();
+    worker.send = (message) =>
+        setImmediate(() => child.emit("message", structuredClone(message)));
+    child.send = (message) =>
+        setImmediate(() => worker.emit("message", structuredClone(message)));
+    return { worker, child };
+}
+
+test("counts the hits of all workers in the primary", async () => {
+    const limiters = {
+        contact: new RateLimiter({ limit: 3, windowMs: 60000 }),
+    };
+    const clients = [channelPair(), channelPair()].map(({ worker, child }) => {
+        serveRateLimiters(worker, limiters);
+        return new RateLimiterClient("contact", child);
+    });
+
+    const results = [];
+    for (const client of [...clients, ...clients])
+        results.push((await client.hit("1.2.3.4")).allowed);
+    assert.deepStrictEqual(results, [true, true, true, false]);
+    assert.ok((await clients[0].retryAfter("1.2.3.4")) > 0);
+    assert.strictEqual(await clients[1].retryAfter("5.6.7.8"), 0);
+});
+
+test("ignores messages for other limiters and methods", async () => {
+    const { worker, child } = channelPair();
+    const limiter = new RateLimiter({ limit: 1, windowMs: 60000 });
+    serveRateLimiters(worker, { contact: limiter });
+    const answered = [];
+    child.on("message", (message) => answered.push(message));
+
+    child.send({ rateLimit: "auth", id: 0, method: "hit", key: "a" });
+    child.send({ rateLimit: "contact", id: 1, method: "prune", key: "a" });
+    child.send({ rateLimit: "toString", id: 2, method: "hit", key: "a" });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.deepStrictEqual(answered, []);
+    assert.strictEqual(limiter.hits.size, 0);
+});
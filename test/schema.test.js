@@ -0,0 +1,96 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { validate, SchemaError } = require("../lib/schema");
+
+const SCHEMA = {
+    type: "object",
+    required: ["name", "links"],
+    properties: {
+        name: { type: "string" },
+        since: { type: "string", format: "month" },
+        role: { enum: ["dev", "ops"], type: "string" },
+        links: {
+            type: "array",
+            items: {
+                type: "object",
+                required: ["url"],
+                properties: { url: { type: "string", format: "url" } },
+            },
+        },
+        headers: {
+            type: "object",
+            propertyNames: { type: "string", format: "header" },
+            additionalProperties: { type: ["string", "null"] },
+        },
+    },
+};
+
+test("accepts a value matching the schema", () => {
+    assert.deepStrictEqual(
+        validate(
+            {
+                name: "Ann",
+                since: "2024-02",
+                role: "dev",
+                links: [{ url: "https://example.com" }],
+                headers: { "X-Frame-Options": "DENY", Server: null },
+            },
+            SCHEMA
+        ),
+        []
+    );
+});
+
+test("reports each problem with the path to it", () => {
+    assert.deepStrictEqual(
+        validate(
+            {
+                name: 1,
+                since: "2024-13",
+                role: "admin",
+                links: [{ url: "javascript:alert(1)" }, {}],
+                headers: { "Bad Header": "x", Ok: 2 },
+                extra: true,
+            },
+            SCHEMA
+        ),
+        [
+            "name: expected string, got number",
+            'since: expected a date as YYYY-MM, got "2024-13"',
+            'role: expected one of "dev", "ops", got "admin"',
+            'links[0].url: expected an absolute http(s) URL, got "javascript:alert(1)"',
+            'links[1]: missing required field "url"',
+            'headers.Bad Header: expected an HTTP header name, got "Bad Header"',
+            "headers.Ok: expected string or null, got number",
+            "extra: unknown field",
+        ]
+    );
+});
+
+test("names the root and missing fields", () => {
+    assert.deepStrictEqual(validate([], SCHEMA), [
+        "(root): expected object, got array",
+    ]);
+    assert.deepStrictEqual(validate({}, SCHEMA), [
+        '(root): missing required field "name"',
+        '(root): missing required field "links"',
+    ]);
+});
+
+test("checks calendar dates, not only their shape", () => {
+    const date = { type: "string", format: "date" };
+    assert.deepStrictEqual(validate("2024-02-29", date), []);
+    assert.deepStrictEqual(validate("2023-02-29", date), [
+        '(root): expected a date as YYYY-MM-DD, got "2023-02-29"',
+    ]);
+});
+
+test("lists the problems of a SchemaError under its source", () => {
+    const error = new SchemaError("content.json", ["a: unknown field", "b: x"]);
+    assert.strictEqual(error.name, "SchemaError");
+    assert.deepStrictEqual(error.problems, ["a: unknown field", "b: x"]);
+    assert.strictEqual(
+        error.message,
+        "content.json is invalid:\n  - a: unknown field\n  - b: x"
+    );
+});
@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { precache } = require("../lib/service-worker");
+const { themeColor } = require("../lib/web-manifest");
+
+const entry = (urlPath, body = "", etag = `"${urlPath}"`) => ({
+    path: urlPath,
+    body: Buffer.from(body),
+    etag,
+});
+
+test("precaches documents and what they reference, in path order", () => {
+    const entries = [
+        entry("/z.css"),
+        entry("/index.html", '<link href="/z.css"><img src="/a.webp">'),
+        entry("/a.webp"),
+        entry("/unused.js"),
+        entry("/en/index.html", '<link href="/z.css">'),
+    ];
+    const { files } = precache(entries, [
+        "/index.html",
+        "/en/index.html",
+        "/missing.html",
+    ]);
+    assert.deepStrictEqual(files, [
+        "/en/index.html",
+        "/index.html",
+        "/a.webp",
+        "/z.css",
+    ]);
+});
+
+test("versions the cache by the precached files only", () => {
+    const entries = [entry("/index.html", "/a.css"), entry("/a.css")];
+    const { version } = precache(entries, ["/index.html"]);
+    assert.match(version, /^[0-9a-f]{16}$/);
+    assert.strictEqual(
+        precache([...entries].reverse(), ["/index.html"]).version,
+        version
+    );
+    assert.strictEqual(
+        precache([...entries, entry("/b.css")], ["/index.html"]).version,
+        version
+    );
+    assert.notStrictEqual(
+        precache([entries[0], entry("/a.css", "", '"new"')], ["/index.html"])
+            .version,
+        version
+    );
+});
+
+test("reads the theme color of a page", () => {
+    assert.strictEqual(
+        themeColor('<meta name=theme-color content="#0e120e">'),
+        "#0e120e"
+    );
+    assert.strictEqual(
+        themeColor("<meta content='red' name='theme-color'>"),
+        "red"
+    );
+    assert.strictEqual(themeColor("<meta name=description content=x>"), null);
+});
@@ -2,18 +2,29 @@
 
 # Pull latest changes from git repository
 echo "Pulling latest changes..."
+before=$(git rev-parse HEAD)
 git pull
 
 # Check if git pull was successful
 if [ $? -eq 0 ]; then
-    echo "Git pull successful. Restarting compact-portfolio service..."
-    sudo systemctl restart compact-portfolio.service
+    # Content changes only need a rebuild, which SIGHUP does without dropping
+    # connections (the unit needs ExecReload=/bin/kill -HUP $MAINPID). Server
+    # code changes need a restart, also in cluster mode (CLUSTER_WORKERS):
+    # SIGHUP would only replace the workers, not the primary they rely on.
+    if git diff --quiet "$before" HEAD -- server.js lib package.json; then
+        action=reload
+    else
+        action=restart
+    fi
+
+    echo "Git pull successful. Running $action on compact-portfolio service..."
+    sudo systemctl $action compact-portfolio.service
 
-    # Check if service restart was successful
+    # Check if service reload or restart was successful
     if [ $? -eq 0 ]; then
-        echo "Service restarted successfully."
+        echo "Service ${action}ed successfully."
     else
-        echo "Failed to restart service."
+        echo "Failed to $action service."
         exit 1
     fi
 else